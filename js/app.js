@@ -3,11 +3,245 @@
  */
 
 class CommentsApp {
-    constructor() {
+    /**
+     * @param {Object} options - App options
+     * @param {number} options.maxIndentDepth - Reply depth after which replies stop indenting
+     * @param {string|Object} options.storage - 'localStorage', 'indexedDB', 'memory', 'rest' or an adapter object
+     * @param {string} options.apiBaseUrl - Base URL of the comments API when storage is 'rest'
+     * @param {number} options.undoLimit - How many changes can be undone
+     * @param {number} options.reportThreshold - Reports after which a comment collapses (0 = never)
+     * @param {Object} options.contentRules - Content filter rules (see ContentFilter)
+     * @param {number} options.draftMaxAge - Milliseconds before an unsent draft is thrown away
+     * @param {string} options.realtimeUrl - WebSocket relay URL for live collaboration
+     * @param {Element} options.root - Element holding the widget markup; the whole document by default.
+     *   CommentsApp.mount renders the markup and sets this.
+     * @param {string} options.idPrefix - Prefix of the widget's element ids
+     * @param {string} options.storageKey - Storage namespace for this thread
+     * @param {boolean} options.syncHash - Mirror the sort/filter view in the URL hash
+     * @param {Object} options.hooks - Handlers to subscribe up front, by hook name (see on())
+     * @param {string} options.pagination - 'window' renders only the threads near the viewport,
+     *   'loadMore' shows a page at a time with a "Load more" button
+     * @param {number} options.pageSize - Top-level comments per page (0 = render them all)
+     * @param {number} options.replyPreviewCount - Replies shown before "Show N more replies" (0 = show all)
+     */
+    constructor(options = {}) {
+        this.options = {
+            maxIndentDepth: Components.MAX_INDENT_DEPTH,
+            storage: 'localStorage',
+            undoLimit: 20,
+            reportThreshold: 3,
+            draftMaxAge: 7 * 24 * 60 * 60 * 1000, // 1 week
+            idPrefix: '',
+            storageKey: Storage.STORAGE_KEY,
+            syncHash: true,
+            pagination: 'window',
+            pageSize: 20,
+            replyPreviewCount: 3,
+            ...options
+        };
+        this.root = this.options.root || document;
+        this.components = Components.withRoot(this.root, this.options.idPrefix);
+        this.contentRules = ContentFilter.createRules(this.options.contentRules);
+        this.storage = Storage.withAdapter(
+            StorageAdapters.resolve(this.options.storage, this.options.storageKey, this.options),
+            this.options.storageKey
+        );
         this.data = null;
         this.currentUser = null;
         this.elements = {};
-        this.init();
+        this.undoStack = [];
+        this.view = { ...CommentsApp.DEFAULT_VIEW };
+        this.searchTerms = [];
+        this.searchVisibleIds = null;
+        this.tabId = Utils.generateId();
+        this.syncChannel = null;
+        this.realtime = null;
+        this.typing = new Map();
+        this.typingSentAt = new Map();
+        this.pendingImport = null;
+        this.renderedComments = new WeakMap(); // element -> { comment, key } it was built from
+        this.window = { start: 0, end: this.options.pageSize }; // Top-level comments rendered
+        this.windowFrame = null;
+        this.visibleCount = 0;
+        this.threadHeights = new Map(); // comment id -> measured height of its thread
+        this.expandedReplies = new Set(); // ids of comments showing all their replies
+        this.expandedCollapsed = new Set(); // ids of report-collapsed comments shown anyway
+        this.listeners = [];
+        this.intervals = [];
+        this.destroyed = false;
+        this.ownsRoot = false;
+        this.hooks = new Map();
+        Object.entries(this.options.hooks || {}).forEach(([name, handler]) => this.on(name, handler));
+        if (!CommentsApp.activeWidget) {
+            CommentsApp.activeWidget = this;
+        }
+        this.ready = this.init(); // Resolves once the first render is done
+    }
+
+    /**
+     * Render the widget into a container and start it. Each widget has its
+     * own markup, events, modals and storage namespace, so a page can hold
+     * one thread per section.
+     * @param {Element|string} container - Container element or selector
+     * @param {Object} options - App options (see constructor). storageKey defaults
+     *   to one derived from the container's data-thread-id; syncHash defaults to false.
+     * @returns {CommentsApp} The widget; call destroy() to remove it
+     */
+    static mount(container, options = {}) {
+        const element = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!element) {
+            throw new Error(`CommentsApp.mount: container ${container} not found`);
+        }
+
+        CommentsApp.mountCount += 1;
+        const idPrefix = options.idPrefix !== undefined ? options.idPrefix : `comments-${CommentsApp.mountCount}-`;
+        const threadId = element.dataset.threadId;
+
+        const root = Utils.createElement('div', { className: 'comments-widget' });
+        root.innerHTML = Components.getWidgetHTML(idPrefix);
+        element.appendChild(root);
+
+        const app = new CommentsApp({
+            storageKey: threadId ? `${Storage.STORAGE_KEY}-${threadId}` : Storage.STORAGE_KEY,
+            syncHash: false,
+            ...options,
+            root,
+            idPrefix
+        });
+        app.ownsRoot = true;
+        return app;
+    }
+
+    /**
+     * Stop the widget: remove its listeners, timers and connections, and
+     * its markup if it was mounted
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        this.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        this.intervals.forEach(interval => clearInterval(interval));
+        this.intervals = [];
+        if (this.windowFrame) {
+            cancelAnimationFrame(this.windowFrame);
+            this.windowFrame = null;
+        }
+
+        this.typing.forEach(typers => typers.forEach(typer => clearTimeout(typer.timer)));
+        this.typing.clear();
+        if (this.syncChannel) {
+            this.syncChannel.close();
+            this.syncChannel = null;
+        }
+        if (this.realtime) {
+            this.realtime.close();
+            this.realtime = null;
+        }
+
+        // An open modal locks page scrolling
+        if (this.root.querySelector('.modal-overlay:not([hidden])')) {
+            document.body.style.overflow = '';
+        }
+        if (this.ownsRoot) {
+            this.root.remove();
+        }
+        this.hooks.clear();
+        if (CommentsApp.activeWidget === this) {
+            CommentsApp.activeWidget = null;
+        }
+    }
+
+    /**
+     * Add an event listener that destroy() will remove
+     * @param {EventTarget} target - Element, document or window
+     * @param {string} type - Event type
+     * @param {Function} handler - Listener
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push([target, type, handler]);
+    }
+
+    /**
+     * Subscribe to a hook. before* hooks run before a change is made and can
+     * cancel it or change its payload; after* hooks run once the change is
+     * saved. Names and payloads are listed with CommentsApp.HOOKS.
+     * @param {string} name - Hook name, e.g. 'beforeCreate'
+     * @param {Function} handler - Called with (payload, app)
+     * @returns {Function} Unsubscribes the handler
+     */
+    on(name, handler) {
+        if (!CommentsApp.HOOKS.includes(name)) {
+            throw new Error(`Unknown hook "${name}"`);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for "${name}" must be a function`);
+        }
+        this.hooks.set(name, [...(this.hooks.get(name) || []), handler]);
+        return () => this.off(name, handler);
+    }
+
+    /**
+     * Unsubscribe a hook handler
+     * @param {string} name - Hook name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(name, handler) {
+        const handlers = this.hooks.get(name);
+        if (handlers) {
+            this.hooks.set(name, handlers.filter(entry => entry !== handler));
+        }
+    }
+
+    /**
+     * Run the before* handlers for a change, in the order they subscribed.
+     * A handler cancels the change by returning false (or a message to show
+     * the user) and replaces the payload by returning a new object; it can
+     * also edit the payload in place. A handler that throws cancels too.
+     * @param {string} name - Hook name
+     * @param {Object} payload - What is about to change
+     * @returns {Object|null} Payload to apply, or null if the change was cancelled
+     */
+    runHooks(name, payload) {
+        for (const handler of this.hooks.get(name) || []) {
+            let result;
+            try {
+                result = handler(payload, this);
+            } catch (error) {
+                console.error(`${name} hook failed:`, error);
+                Utils.showNotification('Your change could not be saved', 'error');
+                return null;
+            }
+
+            if (result === false || typeof result === 'string') {
+                if (result) {
+                    Utils.showNotification(result, 'error');
+                }
+                return null;
+            }
+            if (result && typeof result === 'object') {
+                payload = result;
+            }
+        }
+        return payload;
+    }
+
+    /**
+     * Tell the after* handlers about a saved change. Their errors are logged
+     * and don't stop the other handlers.
+     * @param {string} name - Hook name
+     * @param {Object} payload - What changed
+     */
+    emit(name, payload) {
+        (this.hooks.get(name) || []).forEach(handler => {
+            try {
+                handler(payload, this);
+            } catch (error) {
+                console.error(`${name} hook failed:`, error);
+            }
+        });
     }
 
     /**
@@ -15,28 +249,48 @@ class CommentsApp {
      */
     async init() {
         try {
+            // Cache DOM elements
+            this.cacheElements();
+
             // Show loading state
             this.showLoadingState();
 
             // Load data
             await this.loadData();
-
-            // Cache DOM elements
-            this.cacheElements();
+            if (this.destroyed) return;
 
             // Set up event listeners
             this.setupEventListeners();
 
+            // Pick up changes made in other tabs
+            this.setupTabSync();
+
+            // Share changes live with other people on the thread
+            if (this.options.realtimeUrl) {
+                this.setupRealtime();
+            }
+
+            // Restore sort/filter from the URL hash or the user's saved view
+            this.loadView();
+
+            // Drop unsent drafts nobody came back to
+            this.storage.pruneDrafts(this.options.draftMaxAge);
+
             // Render initial comments
             this.renderComments();
 
             // Hide loading state
             this.hideLoadingState();
 
+            // Follow a #comment-<id> link
+            if (this.options.syncHash) {
+                this.revealCommentFromHash();
+            }
+
             console.log('Comments app initialized successfully');
         } catch (error) {
             console.error('Error initializing app:', error);
-            this.showErrorState('Failed to load comments. Please refresh the page.');
+            this.showErrorState(this.storage.loadError || 'Failed to load comments. Please refresh the page.');
         }
     }
 
@@ -45,20 +299,26 @@ class CommentsApp {
      */
     async loadData() {
         try {
-            // First try to load from localStorage
-            this.data = Storage.getData();
-
-            // If no stored data, try to load from data.json
-            if (!this.data || this.data.comments.length === 0) {
-                this.data = await Storage.loadInitialData();
-                Storage.saveData(this.data);
+            // First try to load from the storage adapter
+            this.data = await this.storage.getData();
+
+            // If no stored data, try to load from data.json. A server's thread is
+            // shared with everyone, so an empty one stays empty instead of being seeded
+            if (!this.storage.adapter.remote && (!this.data || this.data.comments.length === 0)) {
+                this.data = await this.storage.loadInitialData();
+                await this.storage.saveData(this.data);
             }
 
             this.currentUser = this.data.currentUser;
         } catch (error) {
+            // Stored data is still there and couldn't be backed up; don't replace it
+            if (this.storage.loadError) {
+                this.data = null;
+                throw error;
+            }
             console.error('Error loading data:', error);
             // Use fallback data
-            this.data = Storage.getInitialData();
+            this.data = this.storage.getInitialData();
             this.currentUser = this.data.currentUser;
         }
     }
@@ -67,15 +327,44 @@ class CommentsApp {
  * Cache DOM elements
  */
     cacheElements() {
+        const byId = id => this.root.querySelector(`#${this.options.idPrefix}${id}`);
         this.elements = {
-            commentsList: document.getElementById('comments-list'),
-            addCommentForm: document.getElementById('add-comment-form'),
-            newCommentText: document.getElementById('new-comment-text'),
-            deleteModal: document.getElementById('delete-modal'),
-            confirmDelete: document.getElementById('confirm-delete'),
-            cancelDelete: document.getElementById('cancel-delete'),
-            loadingState: document.getElementById('loading-state'),
-            errorState: document.getElementById('error-state')
+            commentsList: byId('comments-list'),
+            sortMode: byId('sort-mode'),
+            filterMode: byId('filter-mode'),
+            filterAuthor: byId('filter-author'),
+            searchInput: byId('comment-search'),
+            userSwitcher: byId('user-switcher'),
+            currentUserAvatar: byId('current-user-avatar'),
+            searchStatus: byId('search-status'),
+            addCommentForm: byId('add-comment-form'),
+            newCommentText: byId('new-comment-text'),
+            deleteModal: byId('delete-modal'),
+            confirmDelete: byId('confirm-delete'),
+            cancelDelete: byId('cancel-delete'),
+            historyModal: byId('history-modal'),
+            historyList: byId('history-list'),
+            closeHistory: byId('close-history'),
+            reportModal: byId('report-modal'),
+            reportReason: byId('report-reason'),
+            reportDetails: byId('report-details'),
+            confirmReport: byId('confirm-report'),
+            cancelReport: byId('cancel-report'),
+            reviewModal: byId('review-modal'),
+            reviewList: byId('review-list'),
+            closeReview: byId('close-review'),
+            openReviewQueue: byId('open-review-queue'),
+            presence: byId('presence'),
+            settingsModal: byId('settings-modal'),
+            openSettings: byId('open-settings'),
+            closeSettings: byId('close-settings'),
+            exportFormat: byId('export-format'),
+            exportButton: byId('export-data'),
+            importFile: byId('import-file'),
+            importPreview: byId('import-preview'),
+            applyImport: byId('apply-import'),
+            loadingState: byId('loading-state'),
+            errorState: byId('error-state')
         };
 
         // Check if essential elements exist
@@ -94,9 +383,21 @@ class CommentsApp {
  * Set up event listeners
  */
     setupEventListeners() {
+        // Write/Preview toggle and mention autocomplete for the main form
+        if (this.elements.newCommentText) {
+            this.components.attachPreviewToggle(this.elements.newCommentText);
+            this.components.attachMentionAutocomplete(this.elements.newCommentText);
+        }
+
+        // One listener each for every comment in the list, however often it re-renders
+        if (this.elements.commentsList) {
+            this.listen(this.elements.commentsList, 'click', (e) => this.components.handleListClick(e));
+            this.listen(this.elements.commentsList, 'keydown', (e) => this.components.handleListKeydown(e));
+        }
+
         // Add comment form
         if (this.elements.addCommentForm) {
-            this.elements.addCommentForm.addEventListener('submit', (e) => {
+            this.listen(this.elements.addCommentForm, 'submit', (e) => {
                 e.preventDefault();
                 this.handleAddComment();
             });
@@ -104,402 +405,2323 @@ class CommentsApp {
 
         // Delete modal events
         if (this.elements.confirmDelete) {
-            this.elements.confirmDelete.addEventListener('click', () => {
+            this.listen(this.elements.confirmDelete, 'click', () => {
                 this.handleDeleteConfirm();
             });
         }
 
         if (this.elements.cancelDelete) {
-            this.elements.cancelDelete.addEventListener('click', () => {
+            this.listen(this.elements.cancelDelete, 'click', () => {
                 this.hideDeleteModal();
             });
         }
 
         // Close modal on overlay click
         if (this.elements.deleteModal) {
-            this.elements.deleteModal.addEventListener('click', (e) => {
+            this.listen(this.elements.deleteModal, 'click', (e) => {
                 if (e.target === this.elements.deleteModal) {
                     this.hideDeleteModal();
                 }
             });
         }
 
+        // Edit history modal events
+        if (this.elements.closeHistory) {
+            this.listen(this.elements.closeHistory, 'click', () => {
+                this.hideHistoryModal();
+            });
+        }
+
+        if (this.elements.historyModal) {
+            this.listen(this.elements.historyModal, 'click', (e) => {
+                if (e.target === this.elements.historyModal) {
+                    this.hideHistoryModal();
+                }
+            });
+        }
+
+        // Report modal events
+        if (this.elements.reportReason) {
+            CommentsApp.REPORT_REASONS.forEach(({ value, label }) => {
+                this.elements.reportReason.appendChild(Utils.createElement('option', { value }, label));
+            });
+        }
+
+        if (this.elements.confirmReport) {
+            this.listen(this.elements.confirmReport, 'click', () => {
+                this.handleReportConfirm();
+            });
+        }
+
+        if (this.elements.cancelReport) {
+            this.listen(this.elements.cancelReport, 'click', () => {
+                this.hideReportModal();
+            });
+        }
+
+        if (this.elements.reportModal) {
+            this.listen(this.elements.reportModal, 'click', (e) => {
+                if (e.target === this.elements.reportModal) {
+                    this.hideReportModal();
+                }
+            });
+        }
+
+        // Review queue events
+        if (this.elements.openReviewQueue) {
+            this.listen(this.elements.openReviewQueue, 'click', () => {
+                this.showReviewQueue();
+            });
+        }
+
+        if (this.elements.closeReview) {
+            this.listen(this.elements.closeReview, 'click', () => {
+                this.hideReviewQueue();
+            });
+        }
+
+        if (this.elements.reviewModal) {
+            this.listen(this.elements.reviewModal, 'click', (e) => {
+                if (e.target === this.elements.reviewModal) {
+                    this.hideReviewQueue();
+                }
+            });
+        }
+
+        // Import / export settings events
+        if (this.elements.exportFormat) {
+            Object.entries(DataFormats.FORMATS).forEach(([value, { label }]) => {
+                this.elements.exportFormat.appendChild(Utils.createElement('option', { value }, label));
+            });
+        }
+
+        if (this.elements.openSettings) {
+            this.listen(this.elements.openSettings, 'click', () => {
+                this.showSettings();
+            });
+        }
+
+        if (this.elements.closeSettings) {
+            this.listen(this.elements.closeSettings, 'click', () => {
+                this.hideSettings();
+            });
+        }
+
+        if (this.elements.exportButton) {
+            this.listen(this.elements.exportButton, 'click', () => {
+                this.exportData(this.elements.exportFormat.value);
+            });
+        }
+
+        if (this.elements.settingsModal) {
+            // Picking a file or switching merge/replace refreshes the preview
+            this.listen(this.elements.settingsModal, 'change', (e) => {
+                if (e.target === this.elements.importFile || e.target.name === `${this.options.idPrefix}import-mode`) {
+                    this.previewImport();
+                }
+            });
+
+            this.listen(this.elements.settingsModal, 'click', (e) => {
+                if (e.target === this.elements.settingsModal) {
+                    this.hideSettings();
+                }
+            });
+        }
+
+        if (this.elements.applyImport) {
+            this.listen(this.elements.applyImport, 'click', () => {
+                this.applyImport();
+            });
+        }
+
         // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
+        this.listen(document, 'keydown', (e) => {
             if (e.key === 'Escape' && this.elements.deleteModal && this.elements.deleteModal.style.display !== 'none') {
                 this.hideDeleteModal();
             }
+            if (e.key === 'Escape' && this.elements.historyModal && this.elements.historyModal.style.display !== 'none') {
+                this.hideHistoryModal();
+            }
+            if (e.key === 'Escape' && this.elements.reportModal && this.elements.reportModal.style.display !== 'none') {
+                this.hideReportModal();
+            }
+            if (e.key === 'Escape' && this.elements.reviewModal && this.elements.reviewModal.style.display !== 'none') {
+                this.hideReviewQueue();
+            }
+            if (e.key === 'Escape' && this.elements.settingsModal && this.elements.settingsModal.style.display !== 'none') {
+                this.hideSettings();
+            }
+
+            // Ctrl/Cmd+Z undoes the last change unless the user is typing; with
+            // several widgets on a page, only the one with focus undoes. Focus
+            // falls back to the body once a modal or the undo toast goes away,
+            // so then the widget used last undoes.
+            const isTyping = e.target.matches && e.target.matches('textarea, input, [contenteditable="true"]');
+            const isOnPage = e.target === document || e.target === document.body || e.target === document.documentElement;
+            if (isOnPage && !CommentsApp.activeWidget) {
+                CommentsApp.activeWidget = this;
+            }
+            const isInWidget = this.root === document || this.root.contains(e.target) ||
+                (isOnPage && CommentsApp.activeWidget === this);
+            if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'z' && !isTyping && isInWidget) {
+                e.preventDefault();
+                this.undo();
+            }
+        });
+
+        // Remember which widget was used last, for Ctrl/Cmd+Z from the page body
+        ['pointerdown', 'focusin'].forEach(type => {
+            this.listen(this.root, type, () => {
+                CommentsApp.activeWidget = this;
+            });
         });
 
         // Custom events
-        document.addEventListener('commentVote', (e) => {
+        this.listen(this.root, 'commentVote', (e) => {
             this.handleVote(e.detail.commentId, e.detail.action);
         });
 
-        document.addEventListener('createReply', (e) => {
-            this.handleCreateReply(e.detail);
+        this.listen(this.root, 'createReply', (e) => {
+            e.detail.accepted = this.handleCreateReply(e.detail);
         });
 
-        document.addEventListener('updateComment', (e) => {
-            this.handleUpdateComment(e.detail);
+        this.listen(this.root, 'updateComment', (e) => {
+            e.detail.accepted = this.handleUpdateComment(e.detail);
         });
 
-        document.addEventListener('showDeleteModal', (e) => {
+        this.listen(this.root, 'showDeleteModal', (e) => {
             this.showDeleteModal(e.detail.commentId);
         });
 
+        this.listen(this.root, 'showHistory', (e) => {
+            this.showHistoryModal(e.detail.commentId);
+        });
+
+        // Answered synchronously by filling in e.detail.comment and e.detail.currentUser
+        this.listen(this.root, 'commentQuery', (e) => {
+            e.detail.comment = this.findComment(e.detail.commentId);
+            e.detail.currentUser = this.currentUser;
+        });
+
+        this.listen(this.root, 'showMoreReplies', (e) => {
+            this.expandedReplies.add(e.detail.commentId);
+            this.renderComments();
+        });
+
+        this.listen(this.root, 'expandComment', (e) => {
+            this.expandedCollapsed.add(e.detail.commentId);
+            this.renderComments();
+        });
+
+        this.listen(this.root, 'loadMoreComments', () => {
+            this.window.end += this.options.pageSize;
+            this.renderComments();
+        });
+
+        this.listen(this.root, 'moderateComment', (e) => {
+            this.handleModeration(e.detail.commentId, e.detail.action);
+        });
+
+        this.listen(this.root, 'showReportModal', (e) => {
+            this.showReportModal(e.detail.commentId);
+        });
+
+        this.listen(this.root, 'reviewReport', (e) => {
+            this.handleReview(e.detail.commentId, e.detail.action);
+        });
+
+        // Answered synchronously by filling in e.detail.result
+        this.listen(this.root, 'validateComment', (e) => {
+            e.detail.result = this.validateContent(e.detail.content, e.detail.isEdit);
+        });
+
+        // Answered synchronously by filling in e.detail.draft
+        this.listen(this.root, 'draftQuery', (e) => {
+            e.detail.draft = this.storage.getDraft(this.currentUser.username, e.detail.draftKey);
+        });
+
+        this.listen(this.root, 'replyTyping', (e) => {
+            this.sendTyping(e.detail.commentId, e.detail.active);
+        });
+
+        this.listen(this.root, 'draftChange', (e) => {
+            const { draftKey, content } = e.detail;
+            if (content) {
+                this.storage.saveDraft(this.currentUser.username, draftKey, content);
+            } else {
+                this.storage.removeDraft(this.currentUser.username, draftKey);
+            }
+        });
+
+        // Live counter, errors and draft for the main form (needs the listeners above)
+        if (this.elements.newCommentText) {
+            this.components.attachValidation(
+                this.elements.newCommentText,
+                this.elements.addCommentForm && this.elements.addCommentForm.querySelector('[type="submit"]')
+            );
+            this.components.attachDraft(this.elements.newCommentText, 'comment');
+        }
+
+        // Answered synchronously by filling in e.detail.users
+        this.listen(this.root, 'mentionQuery', (e) => {
+            e.detail.users = this.getKnownUsers();
+        });
+
+        this.listen(this.root, 'showMention', (e) => {
+            this.showLatestCommentBy(e.detail.username);
+        });
+
+        // Sort and filter toolbar
+        [this.elements.sortMode, this.elements.filterMode, this.elements.filterAuthor].forEach(select => {
+            if (select) {
+                this.listen(select, 'change', () => {
+                    this.setView({
+                        sort: this.elements.sortMode.value,
+                        filter: this.elements.filterMode.value,
+                        author: this.elements.filterAuthor.value
+                    });
+                });
+            }
+        });
+
+        // Identity switcher
+        if (this.elements.userSwitcher) {
+            this.listen(this.elements.userSwitcher, 'change', () => {
+                this.switchUser(this.elements.userSwitcher.value);
+            });
+        }
+
+        // Search box (debounced so long threads stay responsive while typing)
+        if (this.elements.searchInput) {
+            this.listen(this.elements.searchInput, 'input', Utils.debounce(() => {
+                this.setSearch(this.elements.searchInput.value);
+            }, 200));
+        }
+
+        if (this.options.syncHash) {
+            this.listen(window, 'hashchange', () => {
+                if (this.revealCommentFromHash()) return;
+
+                const view = this.readViewFromHash();
+                if (view) {
+                    this.setView(view);
+                }
+            });
+        }
+
         // Window resize for responsive updates
-        window.addEventListener('resize', Utils.debounce(() => {
+        this.listen(window, 'resize', Utils.debounce(() => {
             this.handleResize();
         }, 250));
 
+        // Render more (or fewer) threads as the page scrolls
+        this.listen(window, 'scroll', () => {
+            this.scheduleWindowUpdate();
+        });
+
         // Save data before page unload
-        window.addEventListener('beforeunload', () => {
+        this.listen(window, 'beforeunload', () => {
             this.saveData();
         });
 
         // Auto-save data periodically
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             this.saveData();
-        }, 30000); // Save every 30 seconds
+        }, 30000)); // Save every 30 seconds
+
+        // Keep relative timestamps fresh
+        this.intervals.push(setInterval(() => {
+            this.updateTimestamps();
+        }, 60000)); // Update every minute
+    }
+
+    /**
+     * Render all comments. Elements are keyed by comment id and kept while
+     * their comment is unchanged, so only added, removed and changed comments
+     * touch the DOM; open reply and edit forms, focus and scroll position survive.
+     */
+    renderComments() {
+        // Sort and filter top-level comments for the current view
+        this.searchVisibleIds = this.findSearchVisibleIds();
+        const visibleComments = this.getVisibleComments();
+        const range = this.getWindowRange(visibleComments.length);
+        this.visibleCount = visibleComments.length;
+
+        this.patchComments(this.elements.commentsList, visibleComments.slice(range.start, range.end), { depth: 0 });
+        this.renderWindowEdges(visibleComments, range);
+
+        if (visibleComments.length === 0 && this.data.comments.length > 0) {
+            this.elements.commentsList.appendChild(
+                Utils.createElement('p', { className: 'comments-empty' }, 'No comments match these filters.')
+            );
+        }
+
+        this.updateToolbar();
+        this.updateUserControls();
+
+        // Update timestamps
+        this.updateTimestamps();
+
+        this.scheduleWindowUpdate();
+    }
+
+    /**
+     * Which top-level comments to render: a window of pages, or every page
+     * loaded so far in 'loadMore' mode
+     * @param {number} total - Number of top-level comments in the view
+     * @returns {Object} { start, end } indexes (end exclusive)
+     */
+    getWindowRange(total) {
+        const { pageSize } = this.options;
+        if (!pageSize) {
+            return { start: 0, end: total };
+        }
+
+        // The view may have shrunk since the window was set
+        if (this.window.start >= total) {
+            this.window.start = Math.max(0, Math.floor((total - 1) / pageSize) * pageSize);
+        }
+        this.window.end = Math.max(this.window.end, this.window.start + pageSize);
+        return { start: this.window.start, end: Math.min(this.window.end, total) };
+    }
+
+    /**
+     * Add the spacers (window mode) or "Load more" button around the rendered threads
+     * @param {Array} visibleComments - All top-level comments in the view
+     * @param {Object} range - { start, end } from getWindowRange
+     */
+    renderWindowEdges(visibleComments, range) {
+        const list = this.elements.commentsList;
+        const remaining = visibleComments.length - range.end;
+
+        if (this.options.pagination === 'loadMore') {
+            if (remaining > 0) {
+                list.appendChild(this.components.createLoadMoreButton(Math.min(this.options.pageSize, remaining), remaining));
+            }
+            return;
+        }
+
+        if (range.start > 0) {
+            list.prepend(this.components.createSpacer(this.estimateHeight(visibleComments.slice(0, range.start)), 'top'));
+        }
+        if (remaining > 0) {
+            list.appendChild(this.components.createSpacer(this.estimateHeight(visibleComments.slice(range.end)), 'bottom'));
+        }
+    }
+
+    /**
+     * Height the given threads took up when last rendered, guessing from
+     * the average for threads that haven't been rendered yet
+     * @param {Array} comments - Top-level comments
+     * @returns {number} Height in pixels
+     */
+    estimateHeight(comments) {
+        let measured = 0;
+        this.threadHeights.forEach(height => { measured += height; });
+        const average = this.threadHeights.size > 0
+            ? measured / this.threadHeights.size
+            : CommentsApp.ESTIMATED_THREAD_HEIGHT;
+
+        return comments.reduce((total, comment) => {
+            const height = this.threadHeights.get(String(comment.id));
+            return total + (height === undefined ? average : height);
+        }, 0);
+    }
+
+    /**
+     * Check the rendered window on the next animation frame
+     */
+    scheduleWindowUpdate() {
+        if (this.options.pagination !== 'window' || !this.options.pageSize || this.windowFrame) return;
+        this.windowFrame = requestAnimationFrame(() => this.updateWindow());
+    }
+
+    /**
+     * Window mode: render another page of threads when an end of the rendered
+     * ones comes within a screen of the viewport, and drop a page once it is
+     * more than a screen away. Thread heights are measured first so the
+     * spacers keep the page the same length.
+     */
+    updateWindow() {
+        this.windowFrame = null;
+        const list = this.elements.commentsList;
+        if (!list || !list.isConnected) return;
+
+        const articles = [];
+        for (let child = list.firstElementChild; child; child = child.nextElementSibling) {
+            if (child.hasAttribute('data-comment-id')) {
+                articles.push(child);
+            }
+        }
+        if (articles.length === 0) return;
+
+        // Top to top, so each height includes the gap below the thread
+        const rects = articles.map(article => article.getBoundingClientRect());
+        rects.forEach((rect, index) => {
+            const next = rects[index + 1];
+            this.threadHeights.set(articles[index].dataset.commentId, next ? next.top - rect.top : rect.height);
+        });
+
+        const { pageSize } = this.options;
+        const viewportHeight = window.innerHeight;
+        const margin = viewportHeight;
+        const total = this.visibleCount;
+        let { start, end } = this.window;
+        end = Math.min(end, total);
+
+        // Grow towards the viewport, or shrink from a far end (never both on one side)
+        const lastPageStart = Math.max(start, end === total ? Math.floor((total - 1) / pageSize) * pageSize : end - pageSize);
+        if (rects[rects.length - 1].bottom < viewportHeight + margin && end < total) {
+            end = Math.min(end + pageSize, total);
+        } else if (lastPageStart > start && rects[lastPageStart - start].top > viewportHeight + margin) {
+            end = lastPageStart;
+        }
+
+        if (rects[0].top > -margin && start > 0) {
+            start = Math.max(0, start - pageSize);
+        } else if (start + pageSize < end && rects[pageSize].top < -margin) {
+            start += pageSize;
+        }
+
+        if (start !== this.window.start || end !== Math.min(this.window.end, total)) {
+            this.window = { start, end };
+            this.renderComments();
+        }
+    }
+
+    /**
+     * Go back to the first page, e.g. after the sort or filters change
+     */
+    resetWindow() {
+        this.window = { start: 0, end: this.options.pageSize };
+    }
+
+    /**
+     * Top-level comments for the current sort and filter. A thread is shown
+     * when its top comment or any reply in it matches the filters.
+     * @returns {Array} Comments to render, in order
+     */
+    getVisibleComments() {
+        const { sort, filter, author } = this.view;
+        const username = this.currentUser.username;
+
+        const matches = (comment) => {
+            if (filter === 'mine' && comment.user.username !== username) return false;
+            if (filter === 'mentions' && !(comment.mentions || []).includes(username)) return false;
+            if (author && comment.user.username !== author) return false;
+            return true;
+        };
+
+        const threadMatches = (comment) => {
+            if (matches(comment)) return true;
+            return (comment.replies || []).some(threadMatches);
+        };
+
+        const countReplies = (comment) => (comment.replies || [])
+            .reduce((total, reply) => total + 1 + countReplies(reply), 0);
+
+        const comparators = {
+            top: (a, b) => b.score - a.score,
+            newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+            oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+            replies: (a, b) => countReplies(b) - countReplies(a)
+        };
+
+        const searchVisibleIds = this.searchVisibleIds;
+        const compare = comparators[sort] || comparators.top;
+
+        // Pinned threads stay on top whatever the sort order
+        return this.data.comments
+            .filter(threadMatches)
+            .filter(comment => !searchVisibleIds || searchVisibleIds.has(comment.id))
+            .sort((a, b) => (Number(!!b.pinned) - Number(!!a.pinned)) || compare(a, b));
+    }
+
+    /**
+     * Change the search query and re-render
+     * @param {string} query - Words to look for
+     */
+    setSearch(query) {
+        this.searchTerms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        this.resetWindow();
+        this.renderComments();
+
+        if (this.elements.searchStatus) {
+            this.elements.searchStatus.textContent = this.searchTerms.length > 0
+                ? `${this.searchMatchCount} matching ${this.searchMatchCount === 1 ? 'comment' : 'comments'}`
+                : '';
+        }
+    }
+
+    /**
+     * Ids of comments to show for the current search: every comment whose
+     * content or username contains all search terms, plus its ancestors
+     * @returns {Set|null} Visible ids, or null when not searching
+     */
+    findSearchVisibleIds() {
+        this.searchMatchCount = 0;
+        if (this.searchTerms.length === 0) {
+            return null;
+        }
+
+        const visibleIds = new Set();
+        const canSeeHidden = this.isModerator();
+        const visit = (comment) => {
+            // Hidden text is only searchable by those who can read it
+            const content = comment.hidden && !canSeeHidden ? '' : comment.content;
+            const haystack = `${content}\n${comment.user.username}`.toLowerCase();
+            let visible = this.searchTerms.every(term => haystack.includes(term));
+            if (visible) {
+                this.searchMatchCount++;
+            }
+
+            (comment.replies || []).forEach(reply => {
+                if (visit(reply)) {
+                    visible = true;
+                }
+            });
+
+            if (visible) {
+                visibleIds.add(comment.id);
+            }
+            return visible;
+        };
+
+        this.data.comments.forEach(visit);
+        return visibleIds;
+    }
+
+    /**
+     * Mark search terms inside rendered comment text and usernames
+     * @param {Element} root - Element containing rendered comments
+     */
+    highlightSearchTerms(root) {
+        if (this.searchTerms.length === 0) return;
+
+        root.querySelectorAll('.comment__content, .username').forEach(element => {
+            this.components.highlightTerms(element, this.searchTerms);
+        });
+    }
+
+    /**
+     * Change the sort/filter view, re-render, and remember it
+     * @param {Object} view - { sort, filter, author }
+     */
+    setView(view) {
+        this.view = this.sanitizeView(view);
+        this.resetWindow();
+        this.renderComments();
+        this.storage.saveViewPreferences(this.currentUser.username, this.view);
+        if (this.options.syncHash) {
+            this.writeViewToHash();
+        }
+    }
+
+    /**
+     * Pick the initial view: URL hash first, then the user's saved view
+     */
+    loadView() {
+        const view = (this.options.syncHash && this.readViewFromHash()) ||
+            this.storage.getViewPreferences(this.currentUser.username) ||
+            CommentsApp.DEFAULT_VIEW;
+        this.view = this.sanitizeView(view);
+    }
+
+    /**
+     * Drop unknown values from a view
+     * @param {Object} view - Possibly partial or untrusted view
+     * @returns {Object} Complete view
+     */
+    sanitizeView(view) {
+        const defaults = CommentsApp.DEFAULT_VIEW;
+        return {
+            sort: CommentsApp.SORT_MODES.includes(view.sort) ? view.sort : defaults.sort,
+            filter: CommentsApp.FILTER_MODES.includes(view.filter) ? view.filter : defaults.filter,
+            author: typeof view.author === 'string' ? view.author : defaults.author
+        };
+    }
+
+    /**
+     * Read a shared view from the URL hash (#sort=newest&filter=mine&author=amyrobson)
+     * @returns {Object|null} View or null if the hash doesn't describe one
+     */
+    readViewFromHash() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        if (!params.has('sort') && !params.has('filter') && !params.has('author')) {
+            return null;
+        }
+        return {
+            sort: params.get('sort'),
+            filter: params.get('filter'),
+            author: params.get('author') || ''
+        };
+    }
+
+    /**
+     * Mirror the current view into the URL hash so it can be shared
+     */
+    writeViewToHash() {
+        const params = new URLSearchParams();
+        params.set('sort', this.view.sort);
+        params.set('filter', this.view.filter);
+        if (this.view.author) {
+            params.set('author', this.view.author);
+        }
+        history.replaceState(null, '', `#${params.toString()}`);
+    }
+
+    /**
+     * Sync toolbar controls with the current view and known authors
+     */
+    updateToolbar() {
+        const { sortMode, filterMode, filterAuthor } = this.elements;
+        if (!sortMode || !filterMode || !filterAuthor) return;
+
+        sortMode.value = this.view.sort;
+        filterMode.value = this.view.filter;
+
+        const authors = this.getKnownUsers().map(user => user.username);
+        if (this.view.author && !authors.includes(this.view.author)) {
+            authors.push(this.view.author);
+        }
+        filterAuthor.innerHTML = '';
+        filterAuthor.appendChild(Utils.createElement('option', { value: '' }, 'Anyone'));
+        authors.forEach(author => {
+            filterAuthor.appendChild(Utils.createElement('option', { value: author }, author));
+        });
+        filterAuthor.value = this.view.author;
+    }
+
+    /**
+     * Make a list of comment elements match the data: keep the elements of
+     * comments still shown, build the missing ones, drop the rest, and fix
+     * the order while moving as few elements as possible
+     * @param {Element} container - The comments list or a .replies container
+     * @param {Array} comments - Comments to show, in order
+     * @param {Object} options - { depth } of the comments (0 = top level), { locked } for replies in a locked thread
+     */
+    patchComments(container, comments, options) {
+        const existing = new Map();
+        let child = container.firstElementChild;
+        while (child) {
+            const current = child;
+            child = child.nextElementSibling;
+            if (current.hasAttribute('data-comment-id')) {
+                existing.set(current.dataset.commentId, current);
+            } else {
+                // Empty and collapsed notices; added again when still needed
+                current.remove();
+            }
+        }
+
+        const elements = comments.map(comment => {
+            const element = this.patchComment(existing.get(String(comment.id)), comment, options);
+            existing.delete(String(comment.id));
+            return element;
+        });
+        existing.forEach(element => element.remove());
+
+        let next = container.firstElementChild;
+        elements.forEach(element => {
+            if (element === next) {
+                next = next.nextElementSibling;
+            } else {
+                container.insertBefore(element, next);
+            }
+        });
+    }
+
+    /**
+     * Build a comment's element, or bring an existing one up to date when
+     * anything it shows has changed, then patch its replies
+     * @param {Element} element - The comment's current element, if any
+     * @param {Object} comment - Comment data
+     * @param {Object} options - { depth, locked } as for patchComments
+     * @returns {Element} The comment's element
+     */
+    patchComment(element, comment, options) {
+        const isReply = options.depth > 0;
+        const locked = isReply ? !!options.locked : !!comment.locked;
+        // Everything createComment output depends on; version goes up on every change
+        const expanded = this.expandedCollapsed.has(comment.id);
+        const key = [
+            comment.version || 0,
+            this.currentUser.username,
+            this.currentUser.role,
+            locked,
+            expanded,
+            this.searchTerms.join(' ')
+        ].join('|');
+        const rendered = element && this.renderedComments.get(element);
+
+        if (!rendered || rendered.comment !== comment || rendered.key !== key) {
+            const built = this.components.createComment(comment, this.currentUser, isReply, {
+                locked,
+                expanded,
+                reportThreshold: this.options.reportThreshold
+            });
+            this.highlightSearchTerms(built);
+
+            if (element) {
+                this.components.patchComment(element, built);
+            } else {
+                element = built;
+                element.classList.add('fade-in');
+            }
+            this.renderedComments.set(element, { comment, key });
+        }
+
+        this.patchReplies(element, comment, { depth: options.depth + 1, locked });
+        return element;
+    }
+
+    /**
+     * Patch the replies under a comment (while searching, only branches with matches)
+     * @param {Element} element - The comment's element
+     * @param {Object} comment - Comment data
+     * @param {Object} options - { depth, locked } of the replies
+     */
+    patchReplies(element, comment, options) {
+        const replies = comment.replies || [];
+        // Walk the children; selector queries add up over thousands of comments
+        let container = element.lastElementChild;
+        while (container && !container.classList.contains('replies')) {
+            container = container.previousElementSibling;
+        }
+
+        if (replies.length === 0) {
+            if (container) {
+                container.remove();
+            }
+            return;
+        }
+
+        if (!container) {
+            container = this.components.createRepliesContainer(options.depth, this.options.maxIndentDepth);
+            element.appendChild(container);
+        }
+
+        const searchVisibleIds = this.searchVisibleIds;
+        const visibleReplies = searchVisibleIds ? replies.filter(reply => searchVisibleIds.has(reply.id)) : replies;
+
+        // Long reply lists start cut short, except while searching
+        const previewCount = this.options.replyPreviewCount;
+        const isCutShort = !searchVisibleIds && previewCount > 0 &&
+            visibleReplies.length > previewCount && !this.expandedReplies.has(comment.id);
+        this.patchComments(container, isCutShort ? visibleReplies.slice(0, previewCount) : visibleReplies, options);
+
+        if (isCutShort) {
+            container.appendChild(this.components.createShowMoreReplies(visibleReplies.length - previewCount));
+        }
+        const hiddenCount = replies.length - visibleReplies.length;
+        if (hiddenCount > 0) {
+            container.appendChild(this.components.createCollapsedRepliesNotice(hiddenCount));
+        }
+    }
+
+    /**
+ * Handle adding a new comment
+ */
+    handleAddComment() {
+        if (!this.elements.newCommentText) {
+            console.error('Comment textarea not found');
+            return;
+        }
+
+        const validation = this.validateContent(this.elements.newCommentText.value);
+        if (!validation.isValid) {
+            this.components.showFieldErrors(this.elements.newCommentText, validation.errors);
+            return;
+        }
+        const hooked = this.runHooks('beforeCreate', {
+            comment: {
+                id: Utils.generateId(),
+                content: validation.content,
+                createdAt: new Date().toISOString(),
+                score: 0,
+                votes: {},
+                user: {
+                    image: this.currentUser.image,
+                    username: this.currentUser.username
+                },
+                replies: []
+            },
+            parentId: null
+        });
+        if (!hooked) return;
+
+        // Mentions follow the text a hook may have rewritten
+        const newComment = hooked.comment;
+        newComment.content = this.validateHookedContent(newComment.content);
+        if (newComment.content === null) return;
+        newComment.mentions = this.findMentions(newComment.content);
+
+        // Add to data
+        this.commitChange({
+            apply: () => this.data.comments.push(newComment),
+            revert: () => this.removeComment(newComment.id),
+            sync: ['createComment', [newComment]],
+            inverse: ['deleteComment', [newComment.id]],
+            touches: [newComment.id],
+            hook: ['afterCreate', { comment: newComment, parentId: null }]
+        });
+
+        // Re-render comments
+        this.renderComments();
+
+        // Clear form (the input event resets the counter, Send button and draft)
+        this.elements.newCommentText.value = '';
+        this.elements.newCommentText.dispatchEvent(new Event('input'));
+
+        // Show success message
+        Utils.showNotification('Comment added successfully!', 'success', this.getUndoAction());
+
+        // Scroll to new comment, which may sort outside the rendered window
+        setTimeout(() => {
+            this.revealComment(newComment.id);
+        }, 100);
+    }
+
+    /**
+     * Check the text a before* hook handed back. Hooks may rewrite it, so it
+     * has to pass the same rules as typed text.
+     * @param {*} content - Content from the hook's payload
+     * @param {boolean} isEdit - Whether it replaces an existing comment's text
+     * @returns {string|null} Content to save, or null (after a notice) if it breaks a rule
+     */
+    validateHookedContent(content, isEdit = false) {
+        const validation = typeof content === 'string' ? this.validateContent(content, isEdit) : null;
+        if (!validation || !validation.isValid) {
+            Utils.showNotification(validation ? validation.message : 'Your change could not be saved', 'error');
+            return null;
+        }
+        return validation.content;
+    }
+
+    /**
+     * Validate comment text for the current user with the page's content rules
+     * @param {string} content - Comment text
+     * @param {boolean} isEdit - Edits don't count against the rate limit
+     * @returns {Object} Validation result from Utils.validateComment
+     */
+    validateContent(content, isEdit = false) {
+        const username = this.currentUser.username;
+        const postTimes = [];
+        this.forEachComment(comment => {
+            if (comment.user.username === username) {
+                postTimes.push(new Date(comment.createdAt).getTime());
+            }
+        });
+
+        return Utils.validateComment(content, { rules: this.contentRules, postTimes, isEdit });
+    }
+
+    /**
+     * Handle voting on a comment
+     * @param {number} commentId - Comment ID
+     * @param {string} action - Vote action (upvote/downvote)
+     */
+    handleVote(commentId, action) {
+        const comment = this.findComment(commentId);
+        if (!comment) return;
+
+        const username = this.currentUser.username;
+        const value = action === 'upvote' ? 1 : action === 'downvote' ? -1 : 0;
+        if (!value) return;
+
+        if (!comment.votes) {
+            comment.votes = {};
+        }
+
+        // Same arrow again clears the vote, the other arrow switches it
+        const previousVote = comment.votes[username] || 0;
+        const previousScore = comment.score;
+        const hooked = this.runHooks('beforeVote', {
+            comment,
+            username,
+            vote: previousVote === value ? 0 : value,
+            previousVote
+        });
+        if (!hooked) return;
+        const nextVote = Math.sign(Number(hooked.vote)) || 0;
+
+        const setVote = (vote, score) => {
+            if (vote) {
+                comment.votes[username] = vote;
+            } else {
+                delete comment.votes[username];
+            }
+            comment.score = score;
+        };
+
+        this.commitChange({
+            apply: () => setVote(nextVote, previousScore + nextVote - previousVote),
+            revert: () => setVote(previousVote, previousScore),
+            sync: ['vote', [commentId, username, nextVote]],
+            inverse: ['vote', [commentId, username, previousVote]],
+            touches: [commentId],
+            hook: ['afterVote', { comment, username, vote: nextVote, previousVote }]
+        });
+
+        // Update UI
+        const commentElement = this.root.querySelector(`[data-comment-id="${commentId}"]`);
+        if (commentElement) {
+            this.components.updateVoting(commentElement, comment, this.currentUser);
+        }
+
+        // Add visual feedback
+        const votingElement = this.root.querySelector(`[data-comment-id="${commentId}"] .voting`);
+        if (votingElement) {
+            votingElement.classList.add('voting--animated');
+            setTimeout(() => {
+                votingElement.classList.remove('voting--animated');
+            }, 300);
+        }
+    }
+
+    /**
+     * Handle creating a reply
+     * @param {Object} replyData - Reply data
+     * @returns {boolean} True if the reply was added (the form stays open otherwise)
+     */
+    handleCreateReply(replyData) {
+        const { parentId, replyingTo, content } = replyData;
+        const parentComment = this.findComment(parentId);
+
+        if (!parentComment) return false;
+
+        if (this.findThreadRoot(parentComment.id).locked) {
+            Utils.showNotification('This thread is locked. New replies are turned off.', 'error');
+            return false;
+        }
+
+        const hooked = this.runHooks('beforeCreate', {
+            comment: {
+                id: Utils.generateId(),
+                content: content,
+                createdAt: new Date().toISOString(),
+                score: 0,
+                votes: {},
+                parentId: parentComment.id,
+                replyingTo: replyingTo,
+                user: {
+                    image: this.currentUser.image,
+                    username: this.currentUser.username
+                },
+                replies: []
+            },
+            parentId: parentComment.id
+        });
+        if (!hooked) return false;
+
+        const newReply = hooked.comment;
+        newReply.content = this.validateHookedContent(newReply.content);
+        if (newReply.content === null) return false;
+        newReply.mentions = this.findMentions(newReply.content, replyingTo);
+
+        // Add reply under the comment it answers
+        if (!parentComment.replies) {
+            parentComment.replies = [];
+        }
+        this.commitChange({
+            apply: () => parentComment.replies.push(newReply),
+            revert: () => this.removeComment(newReply.id),
+            sync: ['createReply', [parentComment.id, newReply]],
+            inverse: ['deleteComment', [newReply.id]],
+            touches: [newReply.id],
+            hook: ['afterCreate', { comment: newReply, parentId: parentComment.id }]
+        });
+        this.storage.removeDraft(this.currentUser.username, `reply-${parentId}`);
+
+        // Re-render comments
+        this.renderComments();
+
+        // Show success message
+        Utils.showNotification('Reply added successfully!', 'success', this.getUndoAction());
+
+        // Scroll to new reply, opening its reply list if it was cut short
+        setTimeout(() => {
+            this.revealComment(newReply.id);
+        }, 100);
+        return true;
+    }
+
+    /**
+     * Handle updating a comment
+     * @param {Object} updateData - Update data
+     * @returns {boolean} True if the comment was updated (the form stays open otherwise)
+     */
+    handleUpdateComment(updateData) {
+        const { commentId } = updateData;
+        const comment = this.findComment(commentId);
+
+        if (!comment || !this.canEdit(comment)) return false;
+
+        const hooked = this.runHooks('beforeUpdate', {
+            comment,
+            content: updateData.content,
+            previousContent: comment.content
+        });
+        if (!hooked) return false;
+        const content = this.validateHookedContent(hooked.content, true);
+        if (content === null) return false;
+
+        // Update content, keeping the replaced text as a revision
+        const previousContent = comment.content;
+        const previousMentions = comment.mentions;
+        const mentions = this.findMentions(content, comment.replyingTo);
+        const revision = { content: previousContent, editedAt: new Date().toISOString() };
+        this.commitChange({
+            apply: () => {
+                comment.revisions = comment.revisions || [];
+                comment.revisions.push(revision);
+                comment.content = content;
+                comment.mentions = mentions;
+            },
+            revert: () => {
+                comment.revisions = comment.revisions.filter(entry => entry !== revision);
+                comment.content = previousContent;
+                comment.mentions = previousMentions;
+            },
+            sync: ['updateComment', [commentId, content]],
+            inverse: ['updateComment', [commentId, previousContent]],
+            touches: [commentId],
+            hook: ['afterUpdate', { comment, content, previousContent }]
+        });
+        this.storage.removeDraft(this.currentUser.username, `edit-${commentId}`);
+
+        // Update UI
+        const contentElement = this.root.querySelector(`[data-comment-id="${commentId}"] .comment__content`);
+        if (contentElement) {
+            this.components.renderContent(contentElement, comment);
+            if (this.searchTerms.length > 0) {
+                this.components.highlightTerms(contentElement, this.searchTerms);
+            }
+        }
+
+        const commentElement = this.root.querySelector(`[data-comment-id="${commentId}"]`);
+        if (commentElement) {
+            this.components.updateEditedMarker(commentElement, comment);
+        }
+
+        // Show success message
+        Utils.showNotification('Comment updated successfully!', 'success', this.getUndoAction());
+        return true;
+    }
+
+    /**
+ * Show delete confirmation modal
+ * @param {number} commentId - Comment ID to delete
+ */
+    showDeleteModal(commentId) {
+        const comment = this.findComment(commentId);
+        if (!comment || !this.canDelete(comment)) return;
+
+        this.deleteTargetId = commentId;
+        this.openModal(this.elements.deleteModal, this.elements.confirmDelete);
+    }
+
+    /**
+     * Hide delete confirmation modal
+     */
+    hideDeleteModal() {
+        this.closeModal(this.elements.deleteModal);
+        this.deleteTargetId = null;
+    }
+
+    /**
+     * Show the edit history of a comment
+     * @param {number} commentId - Comment ID
+     */
+    showHistoryModal(commentId) {
+        const comment = this.findComment(commentId);
+        if (!comment || !this.elements.historyList) return;
+
+        this.elements.historyList.innerHTML = '';
+        this.elements.historyList.appendChild(this.components.createRevisionList(comment));
+        this.openModal(this.elements.historyModal, this.elements.closeHistory);
+    }
+
+    /**
+     * Hide edit history modal
+     */
+    hideHistoryModal() {
+        this.closeModal(this.elements.historyModal);
+    }
+
+    /**
+     * Open a modal overlay
+     * @param {Element} modal - Modal overlay element
+     * @param {Element} focusElement - Element to focus once open
+     */
+    openModal(modal, focusElement) {
+        if (!modal) return;
+
+        modal.style.display = 'flex';
+        modal.removeAttribute('hidden');
+        modal.setAttribute('aria-hidden', 'false');
+
+        // Focus the modal
+        setTimeout(() => {
+            if (focusElement) {
+                focusElement.focus();
+            }
+        }, 100);
+
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+    }
+
+    /**
+     * Close a modal overlay
+     * @param {Element} modal - Modal overlay element
+     */
+    closeModal(modal) {
+        if (modal) {
+            modal.style.display = 'none';
+            modal.setAttribute('hidden', '');
+            modal.setAttribute('aria-hidden', 'true');
+        }
+
+        // Restore body scroll
+        document.body.style.overflow = '';
+    }
+
+    /**
+     * Handle delete confirmation
+     */
+    handleDeleteConfirm() {
+        if (!this.deleteTargetId) return;
+
+        const deleted = this.deleteComment(this.deleteTargetId);
+        this.hideDeleteModal();
+
+        if (deleted) {
+            Utils.showNotification('Comment deleted', 'success', this.getUndoAction());
+        }
+    }
+
+    /**
+     * Delete a comment and its replies as an undoable change
+     * @param {number} commentId - Comment ID
+     * @param {string} auditAction - Audit log action when a moderator removes someone else's comment
+     * @returns {boolean} True if the comment was deleted
+     */
+    deleteComment(commentId, auditAction = 'delete') {
+        const location = this.locateComment(commentId);
+        if (!location) return false;
+
+        // Remove comment or reply, keeping enough to put it back where it was
+        const { comment, parent, siblings, index } = location;
+        if (!this.canDelete(comment)) return false;
+
+        const parentId = parent ? parent.id : null;
+        if (!this.runHooks('beforeDelete', { comment, parentId, reason: auditAction })) return false;
+
+        const isOwnComment = comment.user.username === this.currentUser.username;
+        this.commitChange({
+            apply: () => this.removeComment(commentId),
+            revert: () => siblings.splice(Math.min(index, siblings.length), 0, comment),
+            sync: ['deleteComment', [commentId]],
+            inverse: parent ? ['createReply', [parent.id, comment]] : ['createComment', [comment]],
+            audit: isOwnComment ? null : { action: auditAction, commentId },
+            touches: [commentId],
+            hook: ['afterDelete', { comment, parentId, reason: auditAction }]
+        });
+
+        // Re-render comments
+        this.renderComments();
+        return true;
+    }
+
+    /**
+     * Show the report dialog for a comment
+     * @param {number} commentId - Comment ID to report
+     */
+    showReportModal(commentId) {
+        const comment = this.findComment(commentId);
+        if (!comment || comment.user.username === this.currentUser.username) return;
+
+        if ((comment.reports || []).some(report => report.username === this.currentUser.username)) {
+            Utils.showNotification('You already reported this comment', 'info');
+            return;
+        }
+
+        this.reportTargetId = commentId;
+        this.elements.reportReason.value = CommentsApp.REPORT_REASONS[0].value;
+        this.elements.reportDetails.value = '';
+        this.openModal(this.elements.reportModal, this.elements.reportReason);
+    }
+
+    /**
+     * Hide the report dialog
+     */
+    hideReportModal() {
+        this.closeModal(this.elements.reportModal);
+        this.reportTargetId = null;
+    }
+
+    /**
+     * Store a report from the current user on the targeted comment
+     */
+    handleReportConfirm() {
+        const comment = this.findComment(this.reportTargetId);
+        if (!comment) return;
+
+        const hooked = this.runHooks('beforeReport', {
+            comment,
+            report: {
+                username: this.currentUser.username,
+                reason: this.elements.reportReason.value,
+                details: this.elements.reportDetails.value.trim(),
+                createdAt: new Date().toISOString()
+            }
+        });
+        if (!hooked) {
+            this.hideReportModal();
+            return;
+        }
+        const report = hooked.report;
+        const previous = comment.reports || [];
+
+        this.commitChange({
+            apply: () => { comment.reports = [...previous, report]; },
+            revert: () => { comment.reports = previous; },
+            sync: ['reportComment', [comment.id, report]],
+            inverse: ['moderateComment', [comment.id, { reports: previous }]],
+            touches: [comment.id],
+            hook: ['afterReport', { comment, report }]
+        });
+
+        this.hideReportModal();
+        this.renderComments();
+        Utils.showNotification('Thanks, a moderator will review this comment', 'success', this.getUndoAction());
+    }
+
+    /**
+     * Comments with at least one report, most reported first
+     * @returns {Array} Reported comments
+     */
+    getReportedComments() {
+        const reported = [];
+        this.forEachComment(comment => {
+            if ((comment.reports || []).length > 0) {
+                reported.push(comment);
+            }
+        });
+        return reported.sort((a, b) => b.reports.length - a.reports.length);
+    }
+
+    /**
+     * Show the moderator review queue
+     */
+    showReviewQueue() {
+        if (!this.isModerator() || !this.elements.reviewList) return;
+
+        this.renderReviewQueue();
+        this.openModal(this.elements.reviewModal, this.elements.closeReview);
+    }
+
+    /**
+     * Re-render the review queue list
+     */
+    renderReviewQueue() {
+        const reasonLabels = {};
+        CommentsApp.REPORT_REASONS.forEach(({ value, label }) => {
+            reasonLabels[value] = label;
+        });
+
+        this.elements.reviewList.innerHTML = '';
+        this.elements.reviewList.appendChild(
+            this.components.createReviewQueue(this.getReportedComments(), reasonLabels)
+        );
+    }
+
+    /**
+     * Hide the moderator review queue
+     */
+    hideReviewQueue() {
+        this.closeModal(this.elements.reviewModal);
+    }
+
+    /**
+     * Resolve a reported comment from the review queue
+     * @param {number} commentId - Comment ID
+     * @param {string} action - 'dismiss' clears its reports, 'remove' deletes it
+     */
+    handleReview(commentId, action) {
+        const comment = this.findComment(commentId);
+        if (!comment || !this.isModerator()) return;
+
+        if (action === 'dismiss') {
+            const moderation = { comment, action: 'dismiss-reports', changes: { reports: [] } };
+            if (!this.runHooks('beforeModerate', moderation)) return;
+
+            const previous = comment.reports || [];
+            this.commitChange({
+                apply: () => { comment.reports = []; },
+                revert: () => { comment.reports = previous; },
+                sync: ['moderateComment', [commentId, { reports: [] }]],
+                inverse: ['moderateComment', [commentId, { reports: previous }]],
+                audit: { action: 'dismiss-reports', commentId },
+                touches: [commentId],
+                hook: ['afterModerate', moderation]
+            });
+            this.renderComments();
+            Utils.showNotification('Reports dismissed', 'success', this.getUndoAction());
+        } else if (action === 'remove') {
+            if (!this.deleteComment(commentId, 'remove')) return;
+            Utils.showNotification('Reported comment removed', 'success', this.getUndoAction());
+        } else {
+            return;
+        }
+
+        this.renderReviewQueue();
+    }
+
+    /**
+     * Toggle a moderator flag on a comment
+     * @param {number} commentId - Comment ID
+     * @param {string} action - 'pin', 'lock' or 'hide'
+     */
+    handleModeration(commentId, action) {
+        const flag = CommentsApp.MODERATION_FLAGS[action];
+        const comment = this.findComment(commentId);
+        if (!flag || !comment || !this.isModerator()) return;
+
+        // Pinning and locking apply to whole threads
+        if (flag !== 'hidden' && comment.parentId != null) return;
+
+        const previous = !!comment[flag];
+        const value = !previous;
+        const moderation = { comment, action: value ? action : `un${action}`, changes: { [flag]: value } };
+        if (!this.runHooks('beforeModerate', moderation)) return;
+
+        this.commitChange({
+            apply: () => { comment[flag] = value; },
+            revert: () => { comment[flag] = previous; },
+            sync: ['moderateComment', [commentId, { [flag]: value }]],
+            inverse: ['moderateComment', [commentId, { [flag]: previous }]],
+            audit: { action: value ? action : `un${action}`, commentId },
+            touches: [commentId],
+            hook: ['afterModerate', moderation]
+        });
+
+        this.renderComments();
+
+        const messages = {
+            pinned: value ? 'Thread pinned to the top' : 'Thread unpinned',
+            locked: value ? 'Thread locked' : 'Thread unlocked',
+            hidden: value ? 'Comment hidden' : 'Comment visible again'
+        };
+        Utils.showNotification(messages[flag], 'success', this.getUndoAction());
+    }
+
+    /**
+     * Whether the current user has moderator powers
+     * @returns {boolean} True for moderators
+     */
+    isModerator() {
+        return this.currentUser.role === 'moderator';
+    }
+
+    /**
+     * Whether the current user may delete a comment
+     * @param {Object} comment - Comment data
+     * @returns {boolean} True for the author or a moderator
+     */
+    canDelete(comment) {
+        return comment.user.username === this.currentUser.username || this.isModerator();
+    }
+
+    /**
+     * Whether the current user may edit a comment
+     * @param {Object} comment - Comment data
+     * @returns {boolean} True for the author only; moderators hide rather than edit
+     */
+    canEdit(comment) {
+        return comment.user.username === this.currentUser.username;
+    }
+
+    /**
+     * Add an entry to the moderation audit log
+     * @param {Object} entry - { action, commentId } for a comment, or
+     *   { action, username, role, previousRole } for a role change
+     * @returns {Object} The logged entry
+     */
+    recordAudit(entry) {
+        const { action, commentId = null, ...details } = entry;
+        const comment = commentId === null ? null : this.findComment(commentId);
+        const record = {
+            id: Utils.generateId(),
+            action,
+            commentId,
+            author: comment ? comment.user.username : null,
+            ...details,
+            moderator: this.currentUser.username,
+            at: new Date().toISOString()
+        };
+        this.data.auditLog.push(record);
+        return record;
+    }
+
+    /**
+     * Download the moderation audit log
+     */
+    exportAuditLog() {
+        const dataBlob = new Blob([JSON.stringify(this.data.auditLog, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(dataBlob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `moderation-log-${new Date().toISOString().split('T')[0]}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+        Utils.showNotification('Audit log exported', 'success');
+    }
+
+    /**
+     * Top-level comment of the thread a comment belongs to
+     * @param {number} commentId - Comment ID
+     * @returns {Object|null} Thread root or null
+     */
+    findThreadRoot(commentId) {
+        let comment = this.findComment(commentId);
+        while (comment && comment.parentId != null) {
+            comment = this.findComment(comment.parentId);
+        }
+        return comment;
+    }
+
+    /**
+     * Remove a comment or reply, along with its own replies
+     * @param {number} commentId - Comment ID to remove
+     */
+    removeComment(commentId) {
+        const location = this.locateComment(commentId);
+        if (location) {
+            location.siblings.splice(location.index, 1);
+            // Tombstone so other tabs drop it too
+            this.data.deleted[commentId] = location.comment.version;
+        }
+    }
+
+    /**
+     * Find a comment by ID anywhere in the reply tree
+     * @param {number} commentId - Comment ID
+     * @returns {Object|null} Comment object or null
+     */
+    findComment(commentId) {
+        const location = this.locateComment(commentId);
+        return location ? location.comment : null;
+    }
+
+    /**
+     * Locate a comment in the reply tree
+     * @param {number} commentId - Comment ID
+     * @param {Array} comments - Sibling list to search (defaults to top level)
+     * @param {Object|null} parent - Comment that owns the sibling list
+     * @returns {Object|null} { comment, parent, siblings, index } or null
+     */
+    locateComment(commentId, comments = this.data.comments, parent = null) {
+        for (let index = 0; index < comments.length; index++) {
+            const comment = comments[index];
+            if (comment.id === commentId) {
+                return { comment, parent, siblings: comments, index };
+            }
+
+            if (comment.replies && comment.replies.length > 0) {
+                const location = this.locateComment(commentId, comment.replies, comment);
+                if (location) {
+                    return location;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Call a function for every comment in the tree, parents before replies
+     * @param {Function} callback - Receives (comment, parent)
+     * @param {Array} comments - Sibling list to walk (defaults to top level)
+     * @param {Object|null} parent - Comment that owns the sibling list
+     */
+    forEachComment(callback, comments = this.data.comments, parent = null) {
+        comments.forEach(comment => {
+            callback(comment, parent);
+            if (comment.replies && comment.replies.length > 0) {
+                this.forEachComment(callback, comment.replies, comment);
+            }
+        });
+    }
+
+    /**
+     * Users known from the thread: the current user plus every comment author
+     * @returns {Array} User objects ({ username, image }), current user first
+     */
+    getKnownUsers() {
+        const users = new Map([[this.currentUser.username, this.currentUser]]);
+        (this.data.users || []).forEach(user => {
+            if (!users.has(user.username)) {
+                users.set(user.username, user);
+            }
+        });
+        this.forEachComment(comment => {
+            if (!users.has(comment.user.username)) {
+                users.set(comment.user.username, comment.user);
+            }
+        });
+        return [...users.values()];
+    }
+
+    /**
+     * Act as another registered user: owner controls, avatar and saved view follow
+     * @param {string} username - Username from the registry
+     */
+    switchUser(username) {
+        const user = this.data.users.find(entry => entry.username === username);
+        if (!user || user.username === this.currentUser.username) return;
+
+        this.currentUser = user;
+        this.data.currentUser = user;
+
+        // Undo entries belong to the previous user's actions
+        this.undoStack = [];
+
+        this.view = this.sanitizeView(
+            this.storage.getViewPreferences(user.username) || CommentsApp.DEFAULT_VIEW
+        );
+        this.renderComments();
+        this.saveData();
+        this.sendHello();
+
+        Utils.showNotification(`Now commenting as ${user.displayName}`, 'info');
+    }
+
+    /**
+     * Add a user to the registry (for demos and QA)
+     * @param {Object} user - { username, displayName, role, image }
+     * @returns {Object|null} The registered user, or null if the username is taken
+     *   or the username or avatar URL isn't allowed
+     */
+    addUser(user) {
+        if (!user || !Utils.isValidUsername(user.username) || this.data.users.some(entry => entry.username === user.username)) {
+            return null;
+        }
+        // Avatars must be http(s) or relative URLs, as Storage.findDataErrors expects
+        const image = user.image || {};
+        if (typeof image !== 'object' || !['png', 'webp'].every(format => image[format] === undefined || Utils.isSafeImageUrl(image[format]))) {
+            return null;
+        }
+
+        const record = this.storage.createUserRecord(user);
+        this.data.users.push(record);
+        this.updateUserControls();
+        this.saveData();
+        return record;
+    }
+
+    /**
+     * Give a registered user a role (one of CommentsApp.USER_ROLES) and log it
+     * @param {string} username - Username from the registry
+     * @param {string} role - New role
+     * @returns {boolean} True if the user exists and the role is known
+     */
+    setUserRole(username, role) {
+        if (!CommentsApp.USER_ROLES.includes(role)) {
+            console.warn(`Unknown role "${role}"; use ${CommentsApp.USER_ROLES.join(' or ')}`);
+            return false;
+        }
+        const user = this.data.users.find(entry => entry.username === username);
+        if (!user) return false;
+        if (user.role === role) return true;
+
+        this.recordAudit({ action: 'set-role', username, role, previousRole: user.role });
+        user.role = role;
+        this.renderComments();
+        this.saveData();
+        return true;
+    }
+
+    /**
+     * Sync the identity switcher, review queue button and add-comment avatar with the current user
+     */
+    updateUserControls() {
+        const { userSwitcher, currentUserAvatar } = this.elements;
+
+        if (userSwitcher) {
+            userSwitcher.innerHTML = '';
+            (this.data.users || [this.currentUser]).forEach(user => {
+                const label = user.displayName !== user.username
+                    ? `${user.displayName} (@${user.username})`
+                    : `@${user.username}`;
+                userSwitcher.appendChild(Utils.createElement('option', {
+                    value: user.username
+                }, user.role && user.role !== 'member' ? `${label} · ${user.role}` : label));
+            });
+            userSwitcher.value = this.currentUser.username;
+        }
+
+        if (this.elements.openReviewQueue) {
+            const count = this.isModerator() ? this.getReportedComments().length : 0;
+            this.elements.openReviewQueue.hidden = !this.isModerator();
+            this.elements.openReviewQueue.textContent = count > 0 ? `Review queue (${count})` : 'Review queue';
+        }
+
+        if (currentUserAvatar) {
+            currentUserAvatar.src = this.currentUser.image.webp || this.currentUser.image.png;
+            currentUserAvatar.alt = `${this.currentUser.displayName || this.currentUser.username}'s avatar`;
+        }
+    }
+
+    /**
+     * Usernames mentioned in a comment
+     * @param {string} content - Comment text
+     * @param {string} replyingTo - Username being replied to, counted as a mention
+     * @returns {Array} Mentioned usernames
+     */
+    findMentions(content, replyingTo = null) {
+        const usernames = this.getKnownUsers().map(user => user.username);
+        const mentions = Utils.extractMentions(content, usernames);
+        if (replyingTo && !mentions.includes(replyingTo)) {
+            mentions.unshift(replyingTo);
+        }
+        return mentions;
+    }
+
+    /**
+     * Scroll to and flash the most recent comment by a user
+     * @param {string} username - Username
+     */
+    showLatestCommentBy(username) {
+        let latest = null;
+        this.forEachComment(comment => {
+            if (comment.user.username === username &&
+                (!latest || new Date(comment.createdAt) > new Date(latest.createdAt))) {
+                latest = comment;
+            }
+        });
+
+        if (!latest) {
+            Utils.showNotification(`@${username} hasn't commented here yet`, 'info');
+            return;
+        }
+
+        this.revealComment(latest.id);
+    }
+
+    /**
+     * Scroll to a comment and highlight it. A comment outside the rendered
+     * window, behind "Show N more replies" or hidden by the filters or
+     * search is brought into view first.
+     * @param {number} commentId - Comment ID
+     * @returns {boolean} True if the comment is in this thread
+     */
+    revealComment(commentId) {
+        const location = this.locateComment(commentId);
+        if (!location) return false;
+
+        // Open every cut-short reply list above it
+        for (let parent = location.parent; parent; parent = this.locateComment(parent.id).parent) {
+            this.expandedReplies.add(parent.id);
+        }
+
+        const root = this.findThreadRoot(commentId);
+        const isFiltered = !this.getVisibleComments().includes(root) ||
+            (this.searchVisibleIds && !this.searchVisibleIds.has(commentId));
+        if (isFiltered) {
+            if (this.elements.searchInput) {
+                this.elements.searchInput.value = '';
+            }
+            this.setSearch('');
+            this.setView({ ...this.view, filter: 'all', author: '' });
+        }
+
+        const { pageSize, pagination } = this.options;
+        const index = this.getVisibleComments().indexOf(root);
+        if (pageSize && index !== -1) {
+            const page = Math.floor(index / pageSize) * pageSize;
+            if (pagination === 'loadMore') {
+                this.window.end = Math.max(this.window.end, page + pageSize);
+            } else if (index < this.window.start || index >= this.window.end) {
+                this.window = { start: page, end: page + pageSize };
+            }
+        }
+        this.renderComments();
+
+        const element = this.elements.commentsList.querySelector(`article[data-comment-id="${commentId}"]`);
+        if (element) {
+            Utils.scrollToElement(element);
+            element.classList.add('comment--highlight');
+            setTimeout(() => element.classList.remove('comment--highlight'), 1500);
+        }
+        return true;
+    }
+
+    /**
+     * Follow a #comment-<id> link in the URL
+     * @returns {boolean} True if the hash named a comment in this thread
+     */
+    revealCommentFromHash() {
+        const match = window.location.hash.match(/^#comment-(\d+)$/);
+        return !!match && this.revealComment(Number(match[1]));
+    }
+
+    /**
+     * Update all timestamps
+     */
+    updateTimestamps() {
+        // One pass over the data instead of a lookup per element keeps big threads fast
+        const createdAt = new Map();
+        this.forEachComment(comment => createdAt.set(comment.id, comment.createdAt));
+
+        const timestampElements = this.root.querySelectorAll('.timestamp');
+        timestampElements.forEach(element => {
+            const commentElement = element.closest('[data-comment-id]');
+            if (commentElement) {
+                const commentId = parseInt(commentElement.dataset.commentId);
+                if (createdAt.has(commentId)) {
+                    const text = Utils.formatTimeAgo(createdAt.get(commentId));
+                    if (element.textContent !== text) {
+                        element.textContent = text;
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+ * Handle window resize
+ */
+    handleResize() {
+        // CSS handles the responsive layout; only the rendered window may need to grow
+        this.scheduleWindowUpdate();
     }
 
     /**
-     * Render all comments
+     * Save data to storage, first folding in anything another tab saved
+     * @returns {Promise<boolean>} Success status
      */
-    renderComments() {
-        // Clear existing comments
-        this.elements.commentsList.innerHTML = '';
-
-        // Sort comments by score (descending)
-        const sortedComments = [...this.data.comments].sort((a, b) => b.score - a.score);
+    async saveData() {
+        // Remote adapters persist each change through syncChange instead
+        if (this.storage.adapter.remote) {
+            this.broadcastThread();
+            return true;
+        }
 
-        // Render each comment
-        sortedComments.forEach(comment => {
-            this.renderComment(comment);
-        });
+        try {
+            const stored = await this.storage.adapter.load();
+            const { data: storedData } = stored ? this.storage.parseData(stored) : {};
+            if (storedData) {
+                this.renderChanges(this.storage.mergeThread(this.data, storedData));
+            }
+        } catch (error) {
+            console.warn('Could not merge stored data before saving:', error);
+        }
 
-        // Update timestamps
-        this.updateTimestamps();
+        const saved = await this.storage.saveData(this.data);
+        if (saved) {
+            this.broadcastThread();
+        }
+        return saved;
     }
 
     /**
-     * Render a single comment
-     * @param {Object} comment - Comment data
+     * Bump the version of changed comments so other tabs can tell which copy is newer,
+     * and stamp when and where, which settles two copies at the same version
+     * @param {Array} commentIds - Comment IDs (missing comments are skipped)
      */
-    renderComment(comment) {
-        const commentElement = Components.createComment(comment, this.currentUser);
-        this.elements.commentsList.appendChild(commentElement);
+    touchComments(commentIds = []) {
+        const updatedAt = new Date().toISOString();
+        commentIds.forEach(commentId => {
+            const comment = this.findComment(commentId);
+            if (comment) {
+                comment.version = (comment.version || 0) + 1;
+                comment.updatedAt = updatedAt;
+                comment.updatedBy = this.tabId;
+            }
+        });
+    }
 
-        // Render replies if they exist
-        if (comment.replies && comment.replies.length > 0) {
-            const repliesContainer = Components.createRepliesContainer(comment.replies, this.currentUser);
-            commentElement.appendChild(repliesContainer);
+    /**
+     * Listen for threads saved by other tabs: BroadcastChannel where available,
+     * otherwise storage events from the localStorage adapter
+     */
+    setupTabSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel(`${this.storage.adapter.key || this.storage.STORAGE_KEY}-sync`);
+            this.syncChannel.addEventListener('message', (e) => {
+                if (e.data && e.data.sender !== this.tabId) {
+                    this.applyRemoteThread(e.data.data);
+                }
+            });
+        } else if (this.storage.adapter.name === 'localStorage') {
+            this.listen(window, 'storage', (e) => {
+                if (e.key === this.storage.adapter.key && e.newValue) {
+                    this.applyRemoteThread(JSON.parse(e.newValue));
+                }
+            });
         }
-
-        // Add animation
-        commentElement.classList.add('fade-in');
     }
 
     /**
- * Handle adding a new comment
- */
-    handleAddComment() {
-        if (!this.elements.newCommentText) {
-            console.error('Comment textarea not found');
-            return;
+     * Tell other tabs about the current thread
+     */
+    broadcastThread() {
+        if (this.syncChannel) {
+            this.syncChannel.postMessage({ sender: this.tabId, data: this.data });
         }
+    }
 
-        const content = this.elements.newCommentText.value.trim();
+    /**
+     * Merge a thread from another tab and re-render what changed
+     * @param {Object} remoteData - Thread data from the other tab
+     */
+    applyRemoteThread(remoteData) {
+        if (!this.data || !remoteData) return;
 
-        const validation = Utils.validateComment(content);
-        if (!validation.isValid) {
-            Utils.showNotification(validation.message, 'error');
+        const { data, errors } = this.storage.parseData(remoteData);
+        if (!data) {
+            console.warn('Ignoring invalid thread from another tab:', errors);
             return;
         }
-
-        const newComment = {
-            id: Utils.generateId(),
-            content: content,
-            createdAt: new Date().toISOString(),
-            score: 0,
-            user: {
-                image: this.currentUser.image,
-                username: this.currentUser.username
-            },
-            replies: []
-        };
-
-        // Add to data
-        this.data.comments.push(newComment);
-
-        // Re-render comments
-        this.renderComments();
-
-        // Clear form
-        this.elements.newCommentText.value = '';
-
-        // Save data
-        this.saveData();
-
-        // Show success message
-        Utils.showNotification('Comment added successfully!', 'success');
-
-        // Scroll to new comment
-        setTimeout(() => {
-            const newCommentElement = document.querySelector(`[data-comment-id="${newComment.id}"]`);
-            Utils.scrollToElement(newCommentElement);
-        }, 100);
+        this.renderChanges(this.storage.mergeThread(this.data, data));
     }
 
     /**
-     * Handle voting on a comment
-     * @param {number} commentId - Comment ID
-     * @param {string} action - Vote action (upvote/downvote)
+     * Update the DOM for comments changed by a merge, leaving the rest alone
+     * @param {Object} changes - { added, updated, removed } ids from Storage.mergeThread
      */
-    handleVote(commentId, action) {
-        const comment = this.findComment(commentId);
-        if (!comment) return;
-
-        // Update score
-        if (action === 'upvote') {
-            comment.score += 1;
-        } else if (action === 'downvote') {
-            comment.score = Math.max(0, comment.score - 1); // Don't go below 0
-        }
-
-        // Update UI
-        const scoreElement = document.querySelector(`[data-comment-id="${commentId}"] .voting__score`);
-        if (scoreElement) {
-            scoreElement.textContent = comment.score;
-            scoreElement.setAttribute('aria-label', `Score: ${comment.score}`);
-        }
-
-        // Add visual feedback
-        const votingElement = document.querySelector(`[data-comment-id="${commentId}"] .voting`);
-        if (votingElement) {
-            votingElement.classList.add('voting--animated');
-            setTimeout(() => {
-                votingElement.classList.remove('voting--animated');
-            }, 300);
+    renderChanges(changes) {
+        const { added, updated, removed } = changes;
+        if (added.length + updated.length + removed.length === 0) return;
+
+        // An open edit form is kept; tell the user what they're editing is now out of date
+        const isEditing = updated.some(id => this.elements.commentsList.querySelector(
+            `article[data-comment-id="${id}"] > .comment__main > .edit-form`
+        ));
+        if (isEditing) {
+            Utils.showNotification('This comment was changed in another tab while you were editing it', 'info');
         }
 
-        // Save data
-        this.saveData();
+        this.renderComments();
     }
 
     /**
-     * Handle creating a reply
-     * @param {Object} replyData - Reply data
+     * Connect to the realtime relay and wire up changes, presence and typing
      */
-    handleCreateReply(replyData) {
-        const { parentId, replyingTo, content } = replyData;
-        const parentComment = this.findComment(parentId);
+    setupRealtime() {
+        this.realtime = Realtime.createTransport(this.options.realtimeUrl);
+
+        this.realtime.on('open', () => this.sendHello());
+        this.realtime.on('close', () => this.renderPresence([]));
+        this.realtime.on('presence', (message) => this.renderPresence(message.users || []));
+        this.realtime.on('change', (message) => {
+            this.applyRemoteChange(message.method, message.args || [], message.from);
+        });
+        this.realtime.on('typing', (message) => {
+            this.showTyping(message.from, message.commentId, message.active);
+        });
 
-        if (!parentComment) return;
+        this.realtime.connect();
+    }
 
-        const newReply = {
-            id: Utils.generateId(),
-            content: content,
-            createdAt: new Date().toISOString(),
-            score: 0,
-            replyingTo: replyingTo,
-            user: {
-                image: this.currentUser.image,
-                username: this.currentUser.username
-            }
+    /**
+     * Who this client is, attached to every realtime message
+     * @returns {Object} { clientId, username, displayName }
+     */
+    getRealtimeSender() {
+        return {
+            clientId: this.tabId,
+            username: this.currentUser.username,
+            displayName: this.currentUser.displayName || this.currentUser.username
         };
+    }
 
-        // Add reply to parent comment
-        if (!parentComment.replies) {
-            parentComment.replies = [];
-        }
-        parentComment.replies.push(newReply);
-
-        // Re-render comments
-        this.renderComments();
-
-        // Save data
-        this.saveData();
-
-        // Show success message
-        Utils.showNotification('Reply added successfully!', 'success');
+    /**
+     * Announce the current user to the relay (again after a user switch)
+     */
+    sendHello() {
+        if (!this.realtime) return;
 
-        // Scroll to new reply
-        setTimeout(() => {
-            const newReplyElement = document.querySelector(`[data-comment-id="${newReply.id}"]`);
-            Utils.scrollToElement(newReplyElement);
-        }, 100);
+        const { username, displayName, image } = this.currentUser;
+        this.realtime.send('hello', {
+            from: this.getRealtimeSender(),
+            user: { username, displayName, image }
+        });
     }
 
     /**
-     * Handle updating a comment
-     * @param {Object} updateData - Update data
+     * Send an accepted change to the other people on the thread
+     * @param {string} method - Adapter-style method name (createReply, vote, ...)
+     * @param {Array} args - Arguments for that method
      */
-    handleUpdateComment(updateData) {
-        const { commentId, content } = updateData;
-        const comment = this.findComment(commentId);
+    broadcastChange(method, args) {
+        if (!this.realtime) return;
 
-        if (!comment) return;
-
-        // Update content
-        comment.content = content;
+        this.realtime.send('change', { from: this.getRealtimeSender(), method, args }, { queue: true });
+    }
 
-        // Update UI
-        const contentElement = document.querySelector(`[data-comment-id="${commentId}"] .comment__content`);
-        if (contentElement) {
-            const replyToText = comment.replyingTo ? `<span class="reply-to">@${comment.replyingTo}</span> ` : '';
-            contentElement.innerHTML = replyToText + Utils.sanitizeHtml(content);
+    /**
+     * Apply a change someone else made, then re-render what it touched.
+     * The relay vouches for who sent a change but not for the change itself,
+     * so it is only applied when its sender could have made it from their
+     * own UI: everyone posts, votes and reports only as themselves, authors
+     * edit and delete their own comments, and moderators also set flags and
+     * remove anything.
+     * @param {string} method - Adapter-style method name
+     * @param {Array} args - Arguments for that method
+     * @param {Object} from - Sender ({ clientId, username })
+     */
+    applyRemoteChange(method, args, from) {
+        const sender = from && typeof from.username === 'string' ? from.username : '';
+        if (!sender || !Array.isArray(args)) return;
+
+        const senderRecord = (this.data.users || []).find(user => user.username === sender);
+        const senderIsModerator = !!senderRecord && senderRecord.role === 'moderator';
+        const canChange = target => target.user.username === sender || senderIsModerator;
+
+        const changes = { added: [], updated: [], removed: [] };
+        const [commentId] = args;
+        const comment = typeof commentId === 'number' ? this.findComment(commentId) : null;
+
+        switch (method) {
+            case 'createComment': {
+                const newComment = this.parseRemoteComment(args[0], null);
+                if (!newComment || newComment.user.username !== sender) return;
+                this.data.comments.push(newComment);
+                changes.added.push(newComment.id);
+                break;
+            }
+            case 'createReply': {
+                if (!comment || this.findThreadRoot(comment.id).locked) return;
+                const reply = this.parseRemoteComment(args[1], comment.id);
+                if (!reply || reply.user.username !== sender) return;
+                comment.replies.push(reply);
+                changes.added.push(reply.id);
+                break;
+            }
+            case 'updateComment': {
+                const [, content] = args;
+                if (!comment || typeof content !== 'string' || comment.user.username !== sender) return;
+                if (comment.content === content) return;
+                comment.revisions.push({ content: comment.content, editedAt: new Date().toISOString() });
+                comment.content = content;
+                comment.mentions = this.findMentions(comment.content, comment.replyingTo);
+                changes.updated.push(commentId);
+                break;
+            }
+            case 'deleteComment':
+                if (!comment || !canChange(comment)) return;
+                this.removeComment(commentId);
+                changes.removed.push(commentId);
+                break;
+            case 'vote': {
+                const [, username, value] = args;
+                if (!comment || username !== sender || ![-1, 0, 1].includes(value)) return;
+                const previous = comment.votes[username] || 0;
+                if (value) {
+                    comment.votes[username] = value;
+                } else {
+                    delete comment.votes[username];
+                }
+                comment.score += value - previous;
+                changes.updated.push(commentId);
+                break;
+            }
+            case 'moderateComment': {
+                const updates = comment ? this.parseRemoteModeration(comment, args[1], sender, senderIsModerator) : null;
+                if (!updates) return;
+                Object.assign(comment, updates);
+                changes.updated.push(commentId);
+                break;
+            }
+            case 'reportComment': {
+                const [, report] = args;
+                if (!comment || !this.isValidReport(report) || report.username !== sender) return;
+                comment.reports = comment.reports.filter(entry => entry.username !== report.username).concat(report);
+                changes.updated.push(commentId);
+                break;
+            }
+            default:
+                return;
         }
 
-        // Save data
+        this.touchComments([...changes.added, ...changes.updated]);
+        this.renderChanges(changes);
         this.saveData();
-
-        // Show success message
-        Utils.showNotification('Comment updated successfully!', 'success');
     }
 
     /**
- * Show delete confirmation modal
- * @param {number} commentId - Comment ID to delete
- */
-    showDeleteModal(commentId) {
-        this.deleteTargetId = commentId;
-        if (this.elements.deleteModal) {
-            this.elements.deleteModal.style.display = 'flex';
-            this.elements.deleteModal.removeAttribute('hidden');
-            this.elements.deleteModal.setAttribute('aria-hidden', 'false');
+     * Validate and normalize a comment (with its replies) sent by someone else
+     * @param {Object} comment - Comment from a realtime message
+     * @param {number|null} parentId - Comment it replies to, null for a new thread
+     * @returns {Object|null} The normalized comment, or null if it fails validation
+     *   or reuses an id this thread already has
+     */
+    parseRemoteComment(comment, parentId) {
+        if (!comment || typeof comment !== 'object' || Array.isArray(comment)) return null;
+
+        // Checked as a thread of its own, so it mustn't claim a parent yet
+        const { parentId: claimedParentId, ...candidate } = comment;
+        if (claimedParentId !== undefined && claimedParentId !== parentId) return null;
+
+        const { data, errors } = this.storage.parseData({
+            schemaVersion: Storage.SCHEMA_VERSION,
+            currentUser: this.currentUser,
+            users: [...(this.data.users || [])],
+            comments: [candidate]
+        });
+        if (!data) {
+            console.warn('Ignoring invalid comment from the realtime relay:', errors);
+            return null;
+        }
 
-            // Focus the modal
-            setTimeout(() => {
-                if (this.elements.confirmDelete) {
-                    this.elements.confirmDelete.focus();
-                }
-            }, 100);
+        const parsed = data.comments[0];
+        let reusesId = false;
+        this.forEachComment(entry => {
+            if (this.findComment(entry.id)) {
+                reusesId = true;
+            }
+        }, [parsed]);
+        if (reusesId) return null;
 
-            // Prevent body scroll
-            document.body.style.overflow = 'hidden';
+        if (parentId !== null) {
+            parsed.parentId = parentId;
         }
+        return parsed;
     }
 
     /**
-     * Hide delete confirmation modal
+     * Work out what a remote moderateComment may change. Moderators set the
+     * pinned/hidden/locked flags and a comment's reports; anyone else can
+     * only withdraw their own report (what undoing a report sends).
+     * @param {Object} comment - Comment being moderated
+     * @param {Object} requested - Fields from the message
+     * @param {string} sender - Sender's username
+     * @param {boolean} senderIsModerator - Whether the sender is a moderator here
+     * @returns {Object|null} Fields to assign, or null to ignore the message
      */
-    hideDeleteModal() {
-        if (this.elements.deleteModal) {
-            this.elements.deleteModal.style.display = 'none';
-            this.elements.deleteModal.setAttribute('hidden', '');
-            this.elements.deleteModal.setAttribute('aria-hidden', 'true');
+    parseRemoteModeration(comment, requested, sender, senderIsModerator) {
+        if (!requested || typeof requested !== 'object' || Array.isArray(requested)) return null;
+
+        const flags = Object.values(CommentsApp.MODERATION_FLAGS);
+        const updates = {};
+        for (const [field, value] of Object.entries(requested)) {
+            if (flags.includes(field)) {
+                if (!senderIsModerator || typeof value !== 'boolean') return null;
+                updates[field] = value;
+            } else if (field === 'reports') {
+                if (!Array.isArray(value) || !value.every(report => this.isValidReport(report))) return null;
+                updates.reports = senderIsModerator
+                    ? value
+                    : comment.reports.filter(report => report.username !== sender);
+            } else {
+                return null;
+            }
         }
-        this.deleteTargetId = null;
+        return Object.keys(updates).length > 0 ? updates : null;
+    }
 
-        // Restore body scroll
-        document.body.style.overflow = '';
+    /**
+     * Whether a report has the fields handleReportConfirm gives it
+     * @param {Object} report - Report data
+     * @returns {boolean} True if it names a reporter and a reason
+     */
+    isValidReport(report) {
+        return !!report && typeof report === 'object' &&
+            typeof report.username === 'string' && report.username.length > 0 &&
+            typeof report.reason === 'string' &&
+            (report.details === undefined || typeof report.details === 'string');
     }
 
     /**
-     * Handle delete confirmation
+     * Tell others the current user is (or stopped) typing a reply, at most every 2s
+     * @param {number} commentId - Comment being replied to
+     * @param {boolean} active - Whether the user is typing
      */
-    handleDeleteConfirm() {
-        if (!this.deleteTargetId) return;
+    sendTyping(commentId, active) {
+        if (!this.realtime) return;
 
-        const comment = this.findComment(this.deleteTargetId);
-        if (!comment) return;
+        const now = Date.now();
+        if (active && now - (this.typingSentAt.get(commentId) || 0) < 2000) return;
 
-        // Remove comment or reply
-        this.removeComment(this.deleteTargetId);
+        if (active) {
+            this.typingSentAt.set(commentId, now);
+        } else {
+            this.typingSentAt.delete(commentId);
+        }
+        this.realtime.send('typing', { from: this.getRealtimeSender(), commentId, active });
+    }
 
-        // Re-render comments
-        this.renderComments();
+    /**
+     * Track who is typing a reply to a comment and update its indicator
+     * @param {Object} from - Sender ({ clientId, displayName })
+     * @param {number} commentId - Comment being replied to
+     * @param {boolean} active - Whether they are typing
+     */
+    showTyping(from, commentId, active) {
+        if (!from || from.clientId === this.tabId) return;
+
+        const typers = this.typing.get(commentId) || new Map();
+        const existing = typers.get(from.clientId);
+        if (existing) {
+            clearTimeout(existing.timer);
+            typers.delete(from.clientId);
+        }
 
-        // Hide modal
-        this.hideDeleteModal();
+        // Stop showing someone who went quiet without saying so
+        if (active) {
+            typers.set(from.clientId, {
+                name: from.displayName || from.username,
+                timer: setTimeout(() => this.showTyping(from, commentId, false), CommentsApp.TYPING_TIMEOUT)
+            });
+        }
 
-        // Save data
-        this.saveData();
+        if (typers.size > 0) {
+            this.typing.set(commentId, typers);
+        } else {
+            this.typing.delete(commentId);
+        }
 
-        // Show success message
-        Utils.showNotification('Comment deleted successfully!', 'success');
+        const element = this.elements.commentsList.querySelector(`article[data-comment-id="${commentId}"]`);
+        if (element) {
+            this.components.updateTypingIndicator(element, [...typers.values()].map(typer => typer.name));
+        }
     }
 
     /**
-     * Remove a comment or reply
-     * @param {number} commentId - Comment ID to remove
+     * Show who is online
+     * @param {Array} users - Online users from the relay
      */
-    removeComment(commentId) {
-        // Try to find and remove from main comments
-        const commentIndex = this.data.comments.findIndex(c => c.id === commentId);
-        if (commentIndex !== -1) {
-            this.data.comments.splice(commentIndex, 1);
-            return;
-        }
-
-        // Try to find and remove from replies
-        for (const comment of this.data.comments) {
-            if (comment.replies) {
-                const replyIndex = comment.replies.findIndex(r => r.id === commentId);
-                if (replyIndex !== -1) {
-                    comment.replies.splice(replyIndex, 1);
-                    return;
-                }
-            }
+    renderPresence(users) {
+        const { presence } = this.elements;
+        if (!presence) return;
+
+        // One entry per person, however many tabs they have open
+        const unique = [...new Map(users.map(user => [user.username, user])).values()];
+
+        presence.querySelectorAll('.presence__list').forEach(list => list.remove());
+        presence.hidden = unique.length === 0;
+        if (unique.length > 0) {
+            presence.appendChild(this.components.createPresenceList(unique, this.currentUser.username));
+            presence.querySelector('.presence__label').textContent = `${unique.length} online`;
         }
     }
 
     /**
-     * Find a comment by ID
-     * @param {number} commentId - Comment ID
-     * @returns {Object|null} Comment object or null
+     * Apply a change to this.data, save it, sync it and make it undoable
+     * @param {Object} change - Change description
+     * @param {Function} change.apply - Mutates this.data
+     * @param {Function} change.revert - Restores this.data to before apply()
+     * @param {Array} change.sync - [adapter method, args] that sends the change
+     * @param {Array} change.inverse - [adapter method, args] that sends the undo
+     * @param {Object} change.audit - Optional { action, commentId } for the moderation log
+     * @param {Array} change.touches - Ids of the comments the change edits, to bump their version
+     * @param {Array} change.hook - Optional [after* hook name, payload] to run once the change is saved
      */
-    findComment(commentId) {
-        // Check main comments
-        for (const comment of this.data.comments) {
-            if (comment.id === commentId) {
-                return comment;
-            }
+    commitChange(change) {
+        // Log before apply() so a deleted comment's author is still known
+        const auditEntry = change.audit ? this.recordAudit(change.audit) : null;
+        change.apply();
+        this.touchComments(change.touches);
+
+        this.undoStack.push(change);
+        if (this.undoStack.length > this.options.undoLimit) {
+            this.undoStack.shift();
+        }
 
-            // Check replies
-            if (comment.replies) {
-                for (const reply of comment.replies) {
-                    if (reply.id === commentId) {
-                        return reply;
-                    }
+        this.saveData();
+        this.syncChange(change.sync[0], change.sync[1], () => {
+            this.undoStack = this.undoStack.filter(entry => entry !== change);
+            change.revert();
+            this.touchComments(change.touches);
+            if (auditEntry) {
+                this.data.auditLog = this.data.auditLog.filter(entry => entry !== auditEntry);
+            }
+        }).then(accepted => {
+            if (accepted) {
+                this.broadcastChange(change.sync[0], change.sync[1]);
+                if (change.hook) {
+                    this.emit(...change.hook);
                 }
             }
-        }
-        return null;
+        });
     }
 
     /**
-     * Update all timestamps
+     * Undo the most recent change
+     * @returns {boolean} True if something was undone
      */
-    updateTimestamps() {
-        const timestampElements = document.querySelectorAll('.timestamp');
-        timestampElements.forEach(element => {
-            const commentElement = element.closest('[data-comment-id]');
-            if (commentElement) {
-                const commentId = parseInt(commentElement.dataset.commentId);
-                const comment = this.findComment(commentId);
-                if (comment) {
-                    element.textContent = Utils.formatTimeAgo(comment.createdAt);
+    undo() {
+        const change = this.undoStack.pop();
+        if (!change) {
+            Utils.showNotification('Nothing to undo', 'info');
+            return false;
+        }
+
+        change.revert();
+        this.touchComments(change.touches);
+        if (change.audit) {
+            this.recordAudit({ ...change.audit, action: `${change.audit.action}-undone` });
+        }
+        this.renderComments();
+        this.saveData();
+        this.syncChange(change.inverse[0], change.inverse[1], () => {
+            change.apply();
+            this.touchComments(change.touches);
+            this.undoStack.push(change);
+        }).then(accepted => {
+            if (accepted) {
+                this.broadcastChange(change.inverse[0], change.inverse[1]);
+                if (change.hook) {
+                    this.emit('afterUndo', {
+                        undone: change.hook[0],
+                        payload: change.hook[1],
+                        method: change.inverse[0],
+                        args: change.inverse[1]
+                    });
                 }
             }
         });
+
+        Utils.showNotification('Change undone', 'info');
+        return true;
     }
 
     /**
- * Handle window resize
- */
-    handleResize() {
-        // No need to re-render for responsive design changes
-        // CSS handles the responsive layout automatically
+     * Notification action that undoes the latest change
+     * @returns {Object} Action for Utils.showNotification
+     */
+    getUndoAction() {
+        return { label: 'Undo', onClick: () => this.undo() };
     }
 
     /**
-     * Save data to storage
+     * Push a change that was already applied locally to a remote adapter,
+     * undoing it if the server rejects it
+     * @param {string} method - Adapter sync method name
+     * @param {Array} args - Arguments for that method
+     * @param {Function} rollback - Restores the local state from before the change
+     * @returns {Promise<boolean>} True if the change was accepted (or nothing to sync)
      */
-    saveData() {
-        Storage.saveData(this.data);
+    async syncChange(method, args, rollback) {
+        const adapter = this.storage.adapter;
+        if (typeof adapter[method] !== 'function') {
+            return true;
+        }
+
+        try {
+            await adapter[method](...args);
+            return true;
+        } catch (error) {
+            console.error(`Error syncing ${method}:`, error);
+            rollback();
+            this.renderComments();
+            Utils.showNotification('Could not save your change to the server. It has been undone.', 'error');
+            return false;
+        }
     }
 
     /**
@@ -564,22 +2786,148 @@ class CommentsApp {
     }
 
     /**
-     * Export data for backup
+     * Export data for backup or sharing
+     * @param {string} format - Key of DataFormats.FORMATS ('json', 'markdown', 'csv' or 'html')
      */
-    exportData() {
-        const dataStr = Storage.exportData();
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    async exportData(format = 'json') {
+        const { extension, mimeType } = DataFormats.FORMATS[format] || DataFormats.FORMATS.json;
+        let dataStr;
+        if (format === 'markdown') {
+            dataStr = DataFormats.toMarkdown(this.data);
+        } else if (format === 'csv') {
+            dataStr = DataFormats.toCSV(this.data);
+        } else if (format === 'html') {
+            dataStr = DataFormats.toHTML(this.data, { title: document.title });
+        } else {
+            dataStr = await this.storage.exportData();
+        }
+
+        const dataBlob = new Blob([dataStr], { type: mimeType });
         const url = URL.createObjectURL(dataBlob);
 
         const link = document.createElement('a');
         link.href = url;
-        link.download = `comments-backup-${new Date().toISOString().split('T')[0]}.json`;
+        link.download = `comments-backup-${new Date().toISOString().split('T')[0]}.${extension}`;
         link.click();
 
         URL.revokeObjectURL(url);
         Utils.showNotification('Data exported successfully!', 'success');
     }
 
+    /**
+     * Show the import / export panel
+     */
+    showSettings() {
+        if (!this.elements.settingsModal) return;
+
+        this.elements.importFile.value = '';
+        this.resetImportPreview();
+        this.openModal(this.elements.settingsModal, this.elements.exportFormat);
+    }
+
+    /**
+     * Hide the import / export panel, dropping any import that wasn't applied
+     */
+    hideSettings() {
+        this.closeModal(this.elements.settingsModal);
+        this.resetImportPreview();
+    }
+
+    /**
+     * Forget the pending import and clear its preview
+     */
+    resetImportPreview() {
+        this.pendingImport = null;
+        if (this.elements.importPreview) {
+            this.elements.importPreview.innerHTML = '';
+        }
+        if (this.elements.applyImport) {
+            this.elements.applyImport.disabled = true;
+        }
+    }
+
+    /**
+     * Read the chosen file and show what importing it would do
+     */
+    async previewImport() {
+        this.resetImportPreview();
+        const file = this.elements.importFile.files[0];
+        if (!file) return;
+
+        const checked = this.elements.settingsModal.querySelector(`input[name="${this.options.idPrefix}import-mode"]:checked`);
+        const mode = checked ? checked.value : 'merge';
+        const format = /\.csv$/i.test(file.name) ? 'csv' : 'json';
+
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            Utils.showNotification('Could not read that file', 'error');
+            return;
+        }
+
+        const { data, errors, fields } = this.storage.parseImport(text, format, this.data);
+        const preview = { fileName: file.name, mode, errors };
+
+        if (data) {
+            if (mode === 'merge') {
+                preview.plan = this.storage.planMerge(this.data, data, fields);
+            } else {
+                preview.replace = {
+                    current: DataFormats.flattenComments(this.data.comments).length,
+                    incoming: DataFormats.flattenComments(data.comments).length
+                };
+            }
+            this.pendingImport = { mode, data, plan: preview.plan };
+            this.elements.applyImport.disabled = mode === 'merge' &&
+                preview.plan.added.length === 0 && preview.plan.updated.length === 0;
+        }
+
+        this.elements.importPreview.appendChild(this.components.createImportPreview(preview));
+    }
+
+    /**
+     * Apply the import shown in the preview
+     */
+    async applyImport() {
+        const pending = this.pendingImport;
+        if (!pending) return;
+
+        let message;
+        if (pending.mode === 'merge') {
+            const changes = this.storage.applyMerge(this.data, pending.plan);
+            this.touchComments(changes.updated);
+            message = `Imported ${changes.added.length} new and ${changes.updated.length} changed comments`;
+        } else {
+            this.replaceData(pending.data);
+            message = 'Data imported successfully';
+        }
+
+        // Undo entries point at comments the import may have replaced
+        this.undoStack = [];
+
+        // Write the whole thread, on remote adapters too, since imports have no per-change sync
+        if (await this.storage.saveData(this.data)) {
+            this.broadcastThread();
+        }
+
+        this.hideSettings();
+        this.renderComments();
+        Utils.showNotification(message, 'success');
+    }
+
+    /**
+     * Swap in a whole new thread. Undo entries refer to comments in the old
+     * one, so they are dropped.
+     * @param {Object} data - Thread data
+     */
+    replaceData(data) {
+        this.data = data;
+        this.currentUser = data.currentUser;
+        this.undoStack = [];
+    }
+
     /**
      * Import data from file
      * @param {File} file - JSON file to import
@@ -587,9 +2935,8 @@ class CommentsApp {
     async importData(file) {
         try {
             const text = await file.text();
-            if (Storage.importData(text)) {
-                this.data = Storage.getData();
-                this.currentUser = this.data.currentUser;
+            if (await this.storage.importData(text)) {
+                this.replaceData(await this.storage.getData());
                 this.renderComments();
             }
         } catch (error) {
@@ -601,19 +2948,61 @@ class CommentsApp {
     /**
      * Reset data to initial state
      */
-    resetData() {
+    async resetData() {
         if (confirm('Are you sure you want to reset all data? This cannot be undone.')) {
-            Storage.clearData();
-            this.data = Storage.getInitialData();
-            this.currentUser = this.data.currentUser;
+            await this.storage.clearData();
+
+            // Loading stopped on data that couldn't be set aside; start again now that it's gone
+            if (!this.data) {
+                if (!this.storage.loadError) {
+                    this.hideErrorState();
+                    this.ready = this.init();
+                }
+                return;
+            }
+
+            this.replaceData(this.storage.getInitialData());
             this.renderComments();
             Utils.showNotification('Data reset successfully!', 'success');
         }
     }
 }
 
+CommentsApp.SORT_MODES = ['top', 'newest', 'oldest', 'replies'];
+CommentsApp.FILTER_MODES = ['all', 'mine', 'mentions'];
+CommentsApp.DEFAULT_VIEW = { sort: 'top', filter: 'all', author: '' };
+CommentsApp.MODERATION_FLAGS = { pin: 'pinned', lock: 'locked', hide: 'hidden' };
+CommentsApp.USER_ROLES = ['member', 'moderator'];
+CommentsApp.TYPING_TIMEOUT = 5000;
+// Guess for the height of a thread that hasn't been rendered yet, in pixels
+CommentsApp.ESTIMATED_THREAD_HEIGHT = 200;
+CommentsApp.mountCount = 0;
+// Widget the user last clicked or focused; gets Ctrl/Cmd+Z pressed on the page body
+CommentsApp.activeWidget = null;
+// Hooks a host page can subscribe to with on(); payloads are described in PROJECT_README.md
+CommentsApp.HOOKS = [
+    'beforeCreate', 'afterCreate',
+    'beforeUpdate', 'afterUpdate',
+    'beforeDelete', 'afterDelete',
+    'beforeVote', 'afterVote',
+    'beforeReport', 'afterReport',
+    'beforeModerate', 'afterModerate',
+    'afterUndo'
+];
+CommentsApp.REPORT_REASONS = [
+    { value: 'spam', label: 'Spam' },
+    { value: 'harassment', label: 'Harassment or abuse' },
+    { value: 'off-topic', label: 'Off-topic' },
+    { value: 'misinformation', label: 'Misinformation' },
+    { value: 'other', label: 'Something else' }
+];
+
 // Initialize app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
+    // Pages that mount their own widgets (or none, like test.html) have no #comments
+    const container = document.getElementById('comments');
+    if (!container) return;
+
     console.log('DOM loaded, initializing app...');
 
     // Check for browser support
@@ -621,28 +3010,35 @@ document.addEventListener('DOMContentLoaded', () => {
         console.warn('localStorage is not available, data will not persist');
     }
 
-    // Initialize the app
+    // Initialize the app (?api=<base url> switches to the REST adapter)
     try {
-        window.commentsApp = new CommentsApp();
+        const params = new URLSearchParams(window.location.search);
+        const apiBaseUrl = params.get('api');
+        const realtimeUrl = params.get('ws');
+        window.commentsApp = CommentsApp.mount(container, {
+            idPrefix: '',
+            syncHash: true,
+            ...(apiBaseUrl ? { storage: 'rest', apiBaseUrl } : {}),
+            ...(realtimeUrl ? { realtimeUrl } : {})
+        });
         console.log('App initialized successfully');
     } catch (error) {
         console.error('Failed to initialize app:', error);
     }
 
-    // Update timestamps periodically
-    setInterval(() => {
-        if (window.commentsApp) {
-            window.commentsApp.updateTimestamps();
-        }
-    }, 60000); // Update every minute
-
     // Add developer tools in console
     if (typeof window !== 'undefined') {
         window.devTools = {
-            exportData: () => window.commentsApp.exportData(),
+            exportData: (format) => window.commentsApp.exportData(format),
             resetData: () => window.commentsApp.resetData(),
-            getStorageInfo: () => console.table(Storage.getStorageInfo()),
-            showNotification: (msg, type) => Utils.showNotification(msg, type)
+            getStorageInfo: async () => console.table(await window.commentsApp.storage.getStorageInfo()),
+            showNotification: (msg, type) => Utils.showNotification(msg, type),
+            addUser: (user) => window.commentsApp.addUser(user),
+            switchUser: (username) => window.commentsApp.switchUser(username),
+            setUserRole: (username, role) => window.commentsApp.setUserRole(username, role),
+            exportAuditLog: () => window.commentsApp.exportAuditLog(),
+            getQuarantine: () => window.commentsApp.storage.getQuarantine(),
+            clearQuarantine: () => window.commentsApp.storage.clearQuarantine()
         };
         console.log('Developer tools available: window.devTools');
     }
@@ -3,16 +3,301 @@
  */
 
 const Components = {
+    // Replies nested deeper than this stop indenting further
+    MAX_INDENT_DEPTH: 3,
+
+    // Events are dispatched on root and element lookups stay inside it
+    root: typeof document !== 'undefined' ? document : null,
+
+    // Prefix for generated ids (form fields, help text)
+    idPrefix: '',
+
+    /**
+     * Create Components bound to one widget, so several threads on a page
+     * don't see each other's events or elements
+     * @param {Element} root - Widget container; it doubles as the widget's event bus
+     * @param {string} idPrefix - Prefix for generated ids
+     * @returns {Object} Components object scoped to that widget
+     */
+    withRoot(root, idPrefix = '') {
+        const components = Object.create(this);
+        components.root = root;
+        components.idPrefix = idPrefix;
+        return components;
+    },
+
+    /**
+     * Markup for one comments widget: toolbar, list, new comment form and the
+     * modals it uses. Ids are prefixed so several widgets can share a page.
+     * @param {string} idPrefix - Prefix for every id (defaults to this.idPrefix)
+     * @returns {string} HTML string
+     */
+    getWidgetHTML(idPrefix = this.idPrefix) {
+        const p = idPrefix;
+        return `
+      <!-- Identity switcher -->
+      <div class="user-switcher">
+        <label for="${p}user-switcher" class="user-switcher__label">Commenting as</label>
+        <select id="${p}user-switcher" class="user-switcher__select">
+          <option value="juliusomo">@juliusomo</option>
+        </select>
+        <button type="button" class="btn btn--secondary user-switcher__review" id="${p}open-review-queue" hidden>
+          Review queue
+        </button>
+        <button type="button" class="btn btn--secondary user-switcher__settings" id="${p}open-settings" aria-haspopup="dialog">
+          Import / export
+        </button>
+      </div>
+      
+      <!-- Who's online (only with a realtime relay) -->
+      <div class="presence" id="${p}presence" aria-live="polite" hidden>
+        <span class="presence__label" id="${p}presence-label">Online</span>
+        <!-- Online users are rendered here -->
+      </div>
+      
+      <!-- Sort and filter toolbar -->
+      <div class="comments-toolbar" role="toolbar" aria-label="Sort and filter comments">
+        <div class="comments-toolbar__search" role="search">
+          <label for="${p}comment-search" class="sr-only">Search comments</label>
+          <input type="search" id="${p}comment-search" class="comments-toolbar__input" placeholder="Search comments..." autocomplete="off">
+          <span id="${p}search-status" class="comments-toolbar__status" aria-live="polite"></span>
+        </div>
+        <label class="comments-toolbar__field">
+          <span class="comments-toolbar__label">Sort</span>
+          <select id="${p}sort-mode" class="comments-toolbar__select">
+            <option value="top">Top</option>
+            <option value="newest">Newest</option>
+            <option value="oldest">Oldest</option>
+            <option value="replies">Most replies</option>
+          </select>
+        </label>
+        <label class="comments-toolbar__field">
+          <span class="comments-toolbar__label">Show</span>
+          <select id="${p}filter-mode" class="comments-toolbar__select">
+            <option value="all">All comments</option>
+            <option value="mine">Only mine</option>
+            <option value="mentions">Mentions me</option>
+          </select>
+        </label>
+        <label class="comments-toolbar__field">
+          <span class="comments-toolbar__label">Author</span>
+          <select id="${p}filter-author" class="comments-toolbar__select">
+            <option value="">Anyone</option>
+          </select>
+        </label>
+      </div>
+      
+      <!-- Comments list -->
+      <section class="comments-list" aria-label="Comments" id="${p}comments-list">
+        <!-- Comments will be dynamically loaded here -->
+      </section>
+      
+      <!-- Add new comment form -->
+      <section class="add-comment-section" aria-label="Add new comment">
+        <form class="comment-form" id="${p}add-comment-form" aria-label="Add a new comment">
+          <div class="comment-form__avatar">
+            <img src="./images/avatars/image-juliusomo.webp" 
+                 id="${p}current-user-avatar"
+                 alt="Your avatar" 
+                 class="avatar"
+                 width="40" 
+                 height="40">
+          </div>
+          <div class="comment-form__input">
+            <label for="${p}new-comment-text" class="sr-only">Write your comment</label>
+            <textarea 
+              id="${p}new-comment-text"
+              name="comment"
+              placeholder="Add a comment..."
+              rows="3"
+              required
+              aria-describedby="${p}comment-help"
+              class="comment-textarea"></textarea>
+            <div id="${p}comment-help" class="sr-only">Enter your comment and click Send to post it</div>
+          </div>
+          <div class="comment-form__actions">
+            <button type="submit" class="btn btn--primary" aria-describedby="${p}send-help">
+              Send
+            </button>
+            <div id="${p}send-help" class="sr-only">Post your comment</div>
+          </div>
+        </form>
+      </section>
+      
+      
+      <!-- Delete confirmation modal -->
+      <div class="modal-overlay" id="${p}delete-modal" role="dialog" aria-modal="true" aria-labelledby="${p}modal-title" aria-describedby="${p}modal-description" hidden>
+        <div class="modal">
+          <header class="modal__header">
+            <h2 id="${p}modal-title" class="modal__title">Delete comment</h2>
+          </header>
+          <div class="modal__body">
+            <p id="${p}modal-description" class="modal__text">
+              Are you sure you want to delete this comment? This will remove the comment and its replies. You can undo it from the notification that follows.
+            </p>
+          </div>
+          <footer class="modal__actions">
+            <button type="button" class="btn btn--secondary" id="${p}cancel-delete" aria-label="Cancel deletion">
+              No, cancel
+            </button>
+            <button type="button" class="btn btn--danger" id="${p}confirm-delete" aria-label="Confirm deletion">
+              Yes, delete
+            </button>
+          </footer>
+        </div>
+      </div>
+      
+      <!-- Edit history modal -->
+      <div class="modal-overlay" id="${p}history-modal" role="dialog" aria-modal="true" aria-labelledby="${p}history-title" hidden>
+        <div class="modal modal--wide">
+          <header class="modal__header">
+            <h2 id="${p}history-title" class="modal__title">Edit history</h2>
+          </header>
+          <div class="modal__body" id="${p}history-list">
+            <!-- Revisions are rendered here -->
+          </div>
+          <footer class="modal__actions">
+            <button type="button" class="btn btn--secondary" id="${p}close-history">
+              Close
+            </button>
+          </footer>
+        </div>
+      </div>
+      
+      <!-- Report comment modal -->
+      <div class="modal-overlay" id="${p}report-modal" role="dialog" aria-modal="true" aria-labelledby="${p}report-title" hidden>
+        <div class="modal">
+          <header class="modal__header">
+            <h2 id="${p}report-title" class="modal__title">Report comment</h2>
+          </header>
+          <div class="modal__body">
+            <label for="${p}report-reason" class="modal__text">Why are you reporting this comment?</label>
+            <select id="${p}report-reason" class="modal__select">
+              <!-- Reasons are filled in from CommentsApp.REPORT_REASONS -->
+            </select>
+            <label for="${p}report-details" class="sr-only">Details (optional)</label>
+            <textarea id="${p}report-details" class="modal__textarea" rows="3" maxlength="500" placeholder="Anything a moderator should know? (optional)"></textarea>
+          </div>
+          <footer class="modal__actions">
+            <button type="button" class="btn btn--secondary" id="${p}cancel-report">
+              Cancel
+            </button>
+            <button type="button" class="btn btn--danger" id="${p}confirm-report">
+              Report
+            </button>
+          </footer>
+        </div>
+      </div>
+      
+      <!-- Moderator review queue modal -->
+      <div class="modal-overlay" id="${p}review-modal" role="dialog" aria-modal="true" aria-labelledby="${p}review-title" hidden>
+        <div class="modal modal--wide">
+          <header class="modal__header">
+            <h2 id="${p}review-title" class="modal__title">Reported comments</h2>
+          </header>
+          <div class="modal__body" id="${p}review-list">
+            <!-- Reported comments are rendered here -->
+          </div>
+          <footer class="modal__actions">
+            <button type="button" class="btn btn--secondary" id="${p}close-review">
+              Close
+            </button>
+          </footer>
+        </div>
+      </div>
+      
+      <!-- Import / export settings modal -->
+      <div class="modal-overlay" id="${p}settings-modal" role="dialog" aria-modal="true" aria-labelledby="${p}settings-title" hidden>
+        <div class="modal modal--wide">
+          <header class="modal__header">
+            <h2 id="${p}settings-title" class="modal__title">Import and export</h2>
+          </header>
+          <div class="modal__body">
+            <section class="settings__section" aria-labelledby="${p}export-title">
+              <h3 id="${p}export-title" class="settings__heading">Export</h3>
+              <label for="${p}export-format" class="modal__text">Format</label>
+              <div class="settings__row">
+                <select id="${p}export-format" class="modal__select">
+                  <!-- Formats are added by the app -->
+                </select>
+                <button type="button" class="btn btn--primary" id="${p}export-data">
+                  Download
+                </button>
+              </div>
+            </section>
+          
+            <section class="settings__section" aria-labelledby="${p}import-title">
+              <h3 id="${p}import-title" class="settings__heading">Import</h3>
+              <label for="${p}import-file" class="modal__text">JSON backup or CSV export</label>
+              <input type="file" id="${p}import-file" class="settings__file" accept=".json,.csv,application/json,text/csv">
+              <fieldset class="settings__options">
+                <legend class="sr-only">Import mode</legend>
+                <label class="settings__option">
+                  <input type="radio" name="${p}import-mode" value="merge" checked>
+                  Merge into this thread
+                </label>
+                <label class="settings__option">
+                  <input type="radio" name="${p}import-mode" value="replace">
+                  Replace this thread
+                </label>
+              </fieldset>
+              <div id="${p}import-preview" aria-live="polite">
+                <!-- What the import will do is shown here -->
+              </div>
+            </section>
+          </div>
+          <footer class="modal__actions">
+            <button type="button" class="btn btn--secondary" id="${p}close-settings">
+              Close
+            </button>
+            <button type="button" class="btn btn--primary" id="${p}apply-import" disabled>
+              Import
+            </button>
+          </footer>
+        </div>
+      </div>
+      
+      <!-- Loading state -->
+      <div class="loading-state" id="${p}loading-state" aria-live="polite" hidden>
+        <div class="loading-spinner" role="status" aria-label="Loading comments">
+          <span class="sr-only">Loading...</span>
+        </div>
+      </div>
+      
+      <!-- Error state -->
+      <div class="error-state" id="${p}error-state" role="alert" aria-live="assertive" hidden>
+        <p class="error-message">Something went wrong. Please try again.</p>
+      </div>
+    `;
+    },
+
     /**
  * Create a comment element
  * @param {Object} comment - Comment data
  * @param {Object} currentUser - Current user data
  * @param {boolean} isReply - Whether this is a reply
+ * @param {Object} context - Thread state: { locked } when the thread takes no new replies,
+ *   { reportThreshold } to collapse comments with that many reports,
+ *   { expanded } when the reader chose to see this one anyway
  * @returns {Element} Comment element
  */
-    createComment(comment, currentUser, isReply = false) {
+    createComment(comment, currentUser, isReply = false, context = {}) {
         const isCurrentUser = comment.user.username === currentUser.username;
-        const commentClass = isReply ? 'comment comment--reply' : 'comment';
+        const isModerator = currentUser.role === 'moderator';
+        let commentClass = isReply ? 'comment comment--reply' : 'comment';
+        if (comment.hidden) {
+            commentClass += ' comment--hidden';
+        }
+        if (comment.pinned && !isReply) {
+            commentClass += ' comment--pinned';
+        }
+
+        const reportCount = (comment.reports || []).length;
+        const isCollapsed = context.reportThreshold > 0 && reportCount >= context.reportThreshold &&
+            !context.expanded && !(comment.hidden && !isModerator);
+        if (isCollapsed) {
+            commentClass += ' comment--collapsed';
+        }
 
         const commentElement = Utils.createElement('article', {
             className: commentClass,
@@ -22,10 +307,44 @@ const Components = {
         });
 
         // Use unified responsive HTML structure
-        commentElement.innerHTML = this.getCommentHTML(comment, currentUser, isCurrentUser);
+        commentElement.innerHTML = this.getCommentHTML(comment, currentUser, isCurrentUser, isReply, context);
+
+        // Author details come from user data, so they're set as text and attributes
+        const image = comment.user.image || {};
+        commentElement.querySelector('.user-info').prepend(
+            Utils.createElement('img', {
+                src: image.webp || image.png || '',
+                alt: `${comment.user.username}'s avatar`,
+                className: 'avatar',
+                width: '32',
+                height: '32'
+            }),
+            Utils.createElement('span', {
+                className: isCurrentUser ? 'username username--current' : 'username'
+            }, comment.user.username)
+        );
 
-        // Add event listeners
-        this.attachCommentEventListeners(commentElement, comment, currentUser, isCurrentUser);
+        // Hidden comments stay readable for moderators only
+        const contentElement = commentElement.querySelector('.comment__content');
+        if (comment.hidden && !isModerator) {
+            contentElement.appendChild(
+                Utils.createElement('p', { className: 'comment__placeholder' }, 'This comment was hidden by a moderator.')
+            );
+        } else {
+            this.renderContent(contentElement, comment);
+        }
+
+        if (isCollapsed) {
+            const showButton = Utils.createElement('button', {
+                type: 'button',
+                className: 'btn btn--text',
+                'data-action': 'expand'
+            }, 'Show anyway');
+            contentElement.before(Utils.createElement('p', { className: 'comment__collapsed-notice' }, [
+                `Collapsed after ${reportCount} ${reportCount === 1 ? 'report' : 'reports'}. `,
+                showButton
+            ]));
+        }
 
         return commentElement;
     },
@@ -35,91 +354,636 @@ const Components = {
  * @param {Object} comment - Comment data
  * @param {Object} currentUser - Current user data
  * @param {boolean} isCurrentUser - Whether comment is by current user
+ * @param {boolean} isReply - Whether this is a reply
+ * @param {Object} context - Thread state ({ locked })
  * @returns {string} HTML string
  */
-    getCommentHTML(comment, currentUser, isCurrentUser) {
-        const replyToText = comment.replyingTo ? `<span class="reply-to">@${comment.replyingTo}</span> ` : '';
+    getCommentHTML(comment, currentUser, isCurrentUser, isReply = false, context = {}) {
         const userBadge = isCurrentUser ? '<span class="user-badge">you</span>' : '';
+        const statusBadges = [
+            comment.pinned && !isReply ? '<span class="status-badge status-badge--pinned">Pinned</span>' : '',
+            comment.locked && !isReply ? '<span class="status-badge status-badge--locked">Locked</span>' : '',
+            comment.hidden && currentUser.role === 'moderator' ? '<span class="status-badge status-badge--hidden">Hidden</span>' : '',
+            (comment.reports || []).length > 0 && currentUser.role === 'moderator'
+                ? `<span class="status-badge status-badge--reported">${comment.reports.length} reported</span>`
+                : ''
+        ].join('');
+        const actionButtons = this.getActionButtons(isCurrentUser, comment, currentUser, isReply, context);
 
         return `
-      <div class="voting">
-        <button type="button" class="voting__button" aria-label="Upvote comment" data-action="upvote">
-          <img src="./images/icon-plus.svg" alt="" aria-hidden="true">
-        </button>
-        <span class="voting__score" aria-label="Score: ${comment.score}">${comment.score}</span>
-        <button type="button" class="voting__button" aria-label="Downvote comment" data-action="downvote">
-          <img src="./images/icon-minus.svg" alt="" aria-hidden="true">
-        </button>
-      </div>
+      ${this.getVotingHTML(comment, currentUser)}
       
       <div class="comment__main">
         <header class="comment__header">
           <div class="user-info">
-            <img src="${comment.user.image.webp || comment.user.image.png}" 
-                 alt="${comment.user.username}'s avatar" 
-                 class="avatar"
-                 width="32" 
-                 height="32">
-            <span class="username ${isCurrentUser ? 'username--current' : ''}">${comment.user.username}</span>
             ${userBadge}
             <span class="timestamp">${Utils.formatTimeAgo(comment.createdAt)}</span>
+            ${this.getEditedMarkerHTML(comment)}
+            ${statusBadges}
           </div>
           
           <div class="comment__actions">
-            ${this.getActionButtons(isCurrentUser)}
+            ${actionButtons}
           </div>
         </header>
         
-        <div class="comment__content">
-          ${replyToText}${Utils.sanitizeHtml(comment.content)}
-        </div>
+        <div class="comment__content"></div>
         
         <footer class="comment__footer comment__footer--mobile">
-          <div class="voting voting--mobile">
-            <button type="button" class="voting__button" aria-label="Upvote comment" data-action="upvote">
-              <img src="./images/icon-plus.svg" alt="" aria-hidden="true">
-            </button>
-            <span class="voting__score" aria-label="Score: ${comment.score}">${comment.score}</span>
-            <button type="button" class="voting__button" aria-label="Downvote comment" data-action="downvote">
-              <img src="./images/icon-minus.svg" alt="" aria-hidden="true">
-            </button>
-          </div>
+          ${this.getVotingHTML(comment, currentUser, 'voting--mobile')}
           
           <div class="comment__actions comment__actions--mobile">
-            ${this.getActionButtons(isCurrentUser)}
+            ${actionButtons}
           </div>
         </footer>
       </div>
     `;
     },
 
+    /**
+     * Render formatted comment text, prefixed with the @replyingTo mention
+     * @param {Element} contentElement - Element to render into
+     * @param {Object} comment - Comment data
+     */
+    renderContent(contentElement, comment) {
+        const fragment = Formatter.render(comment.content);
+
+        this.highlightMentions(fragment, comment.mentions || []);
 
+        if (comment.replyingTo) {
+            const replyTo = Utils.createElement('a', {
+                className: 'reply-to',
+                href: `#user-${comment.replyingTo}`,
+                'data-mention': comment.replyingTo
+            }, `@${comment.replyingTo}`);
+            const firstBlock = fragment.firstChild;
+            // Keep the mention inline with the first paragraph when there is one
+            const target = firstBlock && firstBlock.nodeName === 'P' ? firstBlock : fragment;
+            target.insertBefore(document.createTextNode(' '), target.firstChild);
+            target.insertBefore(replyTo, target.firstChild);
+        }
+
+        contentElement.innerHTML = '';
+        contentElement.appendChild(fragment);
+    },
+
+    /**
+     * Turn @username text into mention links for the given usernames
+     * (code blocks and existing links are left alone)
+     * @param {Node} root - Rendered content to scan
+     * @param {Array} usernames - Usernames that count as mentions
+     */
+    highlightMentions(root, usernames) {
+        if (usernames.length === 0) return;
+
+        const known = new Set(usernames);
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            if (!walker.currentNode.parentNode.closest || !walker.currentNode.parentNode.closest('code, a')) {
+                textNodes.push(walker.currentNode);
+            }
+        }
+
+        textNodes.forEach(textNode => {
+            const parts = textNode.textContent.split(Utils.MENTION_PATTERN);
+            if (parts.length === 1) return;
+
+            // split() with two capture groups yields [text, prefix, name, text, ...]
+            const fragment = document.createDocumentFragment();
+            for (let i = 0; i < parts.length; i += 3) {
+                fragment.appendChild(document.createTextNode(parts[i]));
+                if (i + 2 >= parts.length) break;
+
+                const [prefix, username] = [parts[i + 1], parts[i + 2]];
+                fragment.appendChild(document.createTextNode(prefix));
+                if (known.has(username)) {
+                    fragment.appendChild(Utils.createElement('a', {
+                        className: 'mention',
+                        href: `#user-${username}`,
+                        'data-mention': username
+                    }, `@${username}`));
+                } else {
+                    fragment.appendChild(document.createTextNode(`@${username}`));
+                }
+            }
+            textNode.parentNode.replaceChild(fragment, textNode);
+        });
+    },
+
+    /**
+     * Wrap occurrences of search terms in <mark>, working on text nodes only
+     * so rendered content stays sanitized
+     * @param {Element} root - Element to search within
+     * @param {Array} terms - Lowercase search terms
+     */
+    highlightTerms(root, terms) {
+        const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        textNodes.forEach(textNode => {
+            const parts = textNode.textContent.split(pattern);
+            if (parts.length === 1) return;
+
+            // Odd indexes are the captured matches
+            const fragment = document.createDocumentFragment();
+            parts.forEach((part, index) => {
+                if (!part) return;
+                fragment.appendChild(index % 2 === 1
+                    ? Utils.createElement('mark', { className: 'search-hit' }, part)
+                    : document.createTextNode(part));
+            });
+            textNode.parentNode.replaceChild(fragment, textNode);
+        });
+    },
+
+    /**
+     * Add @mention autocomplete to a comment textarea. Candidate users come
+     * from a synchronous 'mentionQuery' event the app answers.
+     * @param {Element} textarea - Textarea to attach to
+     */
+    attachMentionAutocomplete(textarea) {
+        const list = Utils.createElement('ul', {
+            className: 'mention-list',
+            role: 'listbox',
+            id: `${textarea.id}-mentions`,
+            hidden: ''
+        });
+        textarea.setAttribute('aria-autocomplete', 'list');
+        textarea.setAttribute('aria-controls', list.id);
+        textarea.parentNode.appendChild(list);
+
+        let matches = [];
+        let activeIndex = 0;
+        let queryStart = -1;
+
+        const close = () => {
+            matches = [];
+            list.setAttribute('hidden', '');
+            textarea.removeAttribute('aria-activedescendant');
+        };
+
+        const highlight = () => {
+            list.querySelectorAll('.mention-list__option').forEach((option, index) => {
+                const isActive = index === activeIndex;
+                option.classList.toggle('mention-list__option--active', isActive);
+                option.setAttribute('aria-selected', String(isActive));
+                if (isActive) {
+                    textarea.setAttribute('aria-activedescendant', option.id);
+                }
+            });
+        };
+
+        const choose = (user) => {
+            const before = textarea.value.slice(0, queryStart);
+            const after = textarea.value.slice(textarea.selectionStart);
+            const inserted = `@${user.username} `;
+            textarea.value = before + inserted + after;
+            const caret = before.length + inserted.length;
+            textarea.setSelectionRange(caret, caret);
+            textarea.dispatchEvent(new Event('input', { bubbles: true }));
+            close();
+            textarea.focus();
+        };
+
+        const update = () => {
+            const beforeCaret = textarea.value.slice(0, textarea.selectionStart);
+            const match = beforeCaret.match(/(^|\s)@([\w.-]*)$/);
+            if (!match) {
+                close();
+                return;
+            }
+
+            const query = match[2].toLowerCase();
+            queryStart = beforeCaret.length - match[2].length - 1;
+
+            const detail = { users: [] };
+            this.root.dispatchEvent(new CustomEvent('mentionQuery', { detail }));
+            matches = detail.users
+                .filter(user => user.username.toLowerCase().startsWith(query))
+                .slice(0, 6);
+
+            if (matches.length === 0) {
+                close();
+                return;
+            }
+
+            activeIndex = 0;
+            list.innerHTML = '';
+            matches.forEach((user, index) => {
+                const avatar = Utils.createElement('img', {
+                    src: user.image.webp || user.image.png,
+                    alt: '',
+                    className: 'avatar mention-list__avatar',
+                    width: 20,
+                    height: 20
+                });
+                const option = Utils.createElement('li', {
+                    className: 'mention-list__option',
+                    role: 'option',
+                    id: `${list.id}-${index}`
+                }, [avatar, user.username]);
+                // mousedown keeps focus in the textarea
+                option.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    choose(user);
+                });
+                list.appendChild(option);
+            });
+            list.removeAttribute('hidden');
+            highlight();
+        };
+
+        textarea.addEventListener('input', update);
+        textarea.addEventListener('blur', () => setTimeout(close, 100));
+
+        // Registered before the form's own shortcuts so Enter/Escape pick or close
+        textarea.addEventListener('keydown', (e) => {
+            if (matches.length === 0) return;
+
+            const handled = {
+                ArrowDown: () => { activeIndex = (activeIndex + 1) % matches.length; highlight(); },
+                ArrowUp: () => { activeIndex = (activeIndex - 1 + matches.length) % matches.length; highlight(); },
+                Enter: () => choose(matches[activeIndex]),
+                Tab: () => choose(matches[activeIndex]),
+                Escape: close
+            }[e.key];
+
+            if (handled && !(e.key === 'Enter' && (e.ctrlKey || e.metaKey))) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                handled();
+            }
+        });
+    },
+
+    /**
+     * Add a Write/Preview toggle around a comment textarea
+     * @param {Element} textarea - Textarea to attach to
+     */
+    attachPreviewToggle(textarea) {
+        const writeTab = Utils.createElement('button', {
+            type: 'button',
+            className: 'format-tabs__tab format-tabs__tab--active',
+            role: 'tab',
+            'aria-selected': 'true'
+        }, 'Write');
+        const previewTab = Utils.createElement('button', {
+            type: 'button',
+            className: 'format-tabs__tab',
+            role: 'tab',
+            'aria-selected': 'false'
+        }, 'Preview');
+        const tabs = Utils.createElement('div', {
+            className: 'format-tabs',
+            role: 'tablist',
+            'aria-label': 'Comment editor mode'
+        }, [writeTab, previewTab]);
+        const preview = Utils.createElement('div', {
+            className: 'format-preview comment__content',
+            'aria-live': 'polite',
+            hidden: ''
+        });
+
+        const setMode = (isPreview) => {
+            writeTab.classList.toggle('format-tabs__tab--active', !isPreview);
+            previewTab.classList.toggle('format-tabs__tab--active', isPreview);
+            writeTab.setAttribute('aria-selected', String(!isPreview));
+            previewTab.setAttribute('aria-selected', String(isPreview));
+
+            if (isPreview) {
+                preview.innerHTML = '';
+                if (textarea.value.trim()) {
+                    preview.appendChild(Formatter.render(textarea.value));
+                } else {
+                    preview.appendChild(Utils.createElement('p', { className: 'format-preview__empty' }, 'Nothing to preview'));
+                }
+                preview.removeAttribute('hidden');
+                textarea.style.display = 'none';
+            } else {
+                preview.setAttribute('hidden', '');
+                textarea.style.display = '';
+                textarea.focus();
+            }
+        };
+
+        writeTab.addEventListener('click', () => setMode(false));
+        previewTab.addEventListener('click', () => setMode(true));
+
+        textarea.parentNode.insertBefore(tabs, textarea);
+        textarea.parentNode.insertBefore(preview, textarea.nextSibling);
+    },
+
+    /**
+     * Get voting controls HTML
+     * @param {Object} comment - Comment data
+     * @param {Object} currentUser - Current user data
+     * @param {string} modifier - Extra class for the voting wrapper
+     * @returns {string} HTML string
+     */
+    getVotingHTML(comment, currentUser, modifier = '') {
+        const userVote = (comment.votes && comment.votes[currentUser.username]) || 0;
+        const upActive = userVote === 1 ? ' voting__button--active' : '';
+        const downActive = userVote === -1 ? ' voting__button--active' : '';
+        const votingClass = modifier ? `voting ${modifier}` : 'voting';
+
+        return `
+      <div class="${votingClass}">
+        <button type="button" class="voting__button${upActive}" aria-label="Upvote comment" aria-pressed="${userVote === 1}" data-action="upvote">
+          <img src="./images/icon-plus.svg" alt="" aria-hidden="true">
+        </button>
+        <span class="voting__score" aria-label="Score: ${comment.score}">${comment.score}</span>
+        <button type="button" class="voting__button${downActive}" aria-label="Downvote comment" aria-pressed="${userVote === -1}" data-action="downvote">
+          <img src="./images/icon-minus.svg" alt="" aria-hidden="true">
+        </button>
+      </div>
+    `;
+    },
+
+    /**
+     * Sync both voting controls of a rendered comment with its data
+     * @param {Element} commentElement - Comment element
+     * @param {Object} comment - Comment data
+     * @param {Object} currentUser - Current user data
+     */
+    updateVoting(commentElement, comment, currentUser) {
+        const userVote = (comment.votes && comment.votes[currentUser.username]) || 0;
+        const votingElements = commentElement.querySelectorAll(':scope > .voting, :scope > .comment__main .voting--mobile');
+
+        votingElements.forEach(votingElement => {
+            const scoreElement = votingElement.querySelector('.voting__score');
+            scoreElement.textContent = comment.score;
+            scoreElement.setAttribute('aria-label', `Score: ${comment.score}`);
+
+            votingElement.querySelectorAll('.voting__button').forEach(button => {
+                const value = button.dataset.action === 'upvote' ? 1 : -1;
+                const isActive = userVote === value;
+                button.classList.toggle('voting__button--active', isActive);
+                button.setAttribute('aria-pressed', String(isActive));
+            });
+        });
+    },
+
+    /**
+     * Get the "(edited)" marker HTML, empty for comments never edited
+     * @param {Object} comment - Comment data
+     * @returns {string} HTML string
+     */
+    getEditedMarkerHTML(comment) {
+        if (!comment.revisions || comment.revisions.length === 0) {
+            return '';
+        }
+
+        return `<button type="button" class="edited-marker" data-action="history" aria-label="Edited, view edit history">(edited)</button>`;
+    },
+
+    /**
+     * Add the "(edited)" marker to a rendered comment once it has revisions
+     * @param {Element} commentElement - Comment element
+     * @param {Object} comment - Comment data
+     */
+    updateEditedMarker(commentElement, comment) {
+        const userInfo = commentElement.querySelector(':scope > .comment__main .user-info');
+        if (!userInfo || userInfo.querySelector('.edited-marker')) return;
+
+        const markerHTML = this.getEditedMarkerHTML(comment);
+        if (!markerHTML) return;
+
+        userInfo.insertAdjacentHTML('beforeend', markerHTML);
+    },
+
+    /**
+     * Create the revision list shown in the edit history modal
+     * @param {Object} comment - Comment data
+     * @returns {Element} List element, newest revision first
+     */
+    createRevisionList(comment) {
+        const list = Utils.createElement('ol', { className: 'revision-list' });
+        const revisions = [...(comment.revisions || [])].reverse();
+
+        if (revisions.length === 0) {
+            list.appendChild(Utils.createElement('li', { className: 'revision' }, 'This comment has not been edited.'));
+            return list;
+        }
+
+        revisions.forEach(revision => {
+            const diff = Utils.createElement('p', { className: 'revision__diff' });
+            Utils.diffWords(revision.content, comment.content).forEach(part => {
+                const tag = part.type === 'added' ? 'ins' : part.type === 'removed' ? 'del' : 'span';
+                diff.appendChild(Utils.createElement(tag, {}, part.text));
+            });
+
+            const time = Utils.createElement('time', {
+                className: 'revision__time',
+                datetime: revision.editedAt
+            }, `Replaced ${Utils.formatTimeAgo(revision.editedAt)}`);
+
+            list.appendChild(Utils.createElement('li', { className: 'revision' }, [time, diff]));
+        });
+
+        return list;
+    },
+
+    /**
+     * Create the moderator review queue of reported comments
+     * @param {Array} comments - Reported comments, most reported first
+     * @param {Object} reasonLabels - Report reason value -> label
+     * @returns {Element} Review queue list
+     */
+    createReviewQueue(comments, reasonLabels = {}) {
+        const list = Utils.createElement('ul', { className: 'review-queue' });
+
+        if (comments.length === 0) {
+            list.appendChild(Utils.createElement('li', { className: 'review-item' }, 'No reported comments.'));
+            return list;
+        }
+
+        comments.forEach(comment => {
+            const counts = {};
+            comment.reports.forEach(report => {
+                counts[report.reason] = (counts[report.reason] || 0) + 1;
+            });
+            const reasons = Object.entries(counts)
+                .map(([reason, count]) => `${reasonLabels[reason] || reason} ×${count}`)
+                .join(', ');
+
+            const details = comment.reports
+                .filter(report => report.details)
+                .map(report => Utils.createElement('li', {}, `@${report.username}: ${report.details}`));
+
+            const header = Utils.createElement('p', { className: 'review-item__meta' }, [
+                Utils.createElement('strong', {}, `@${comment.user.username}`),
+                ` · ${comment.reports.length} ${comment.reports.length === 1 ? 'report' : 'reports'} · ${reasons}`
+            ]);
+            const excerpt = Utils.createElement('blockquote', { className: 'review-item__excerpt' },
+                comment.content.length > 200 ? `${comment.content.slice(0, 200)}…` : comment.content);
+
+            const actions = Utils.createElement('div', { className: 'review-item__actions' }, [
+                Utils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn--secondary',
+                    'data-review-action': 'dismiss'
+                }, 'Dismiss'),
+                Utils.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn--danger',
+                    'data-review-action': 'remove'
+                }, 'Remove')
+            ]);
+            actions.querySelectorAll('[data-review-action]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.root.dispatchEvent(new CustomEvent('reviewReport', {
+                        detail: { commentId: comment.id, action: button.dataset.reviewAction }
+                    }));
+                });
+            });
+
+            const item = Utils.createElement('li', { className: 'review-item', 'data-comment-id': comment.id }, [header, excerpt]);
+            if (details.length > 0) {
+                item.appendChild(Utils.createElement('ul', { className: 'review-item__details' }, details));
+            }
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+
+        return list;
+    },
+
+    /**
+     * Describe what an import will do before it is applied
+     * @param {Object} preview - { fileName, mode, errors, plan, replace } where plan
+     *   comes from Storage.planMerge and replace is { current, incoming } comment counts
+     * @returns {Element} Preview element
+     */
+    createImportPreview(preview) {
+        const container = Utils.createElement('div', { className: 'import-preview' });
+        const excerpt = text => (text.length > 80 ? `${text.slice(0, 80)}…` : text);
+        const limitItems = (items, limit) => {
+            const shown = items.slice(0, limit);
+            if (items.length > limit) {
+                shown.push(Utils.createElement('li', { className: 'import-preview__more' }, `…and ${items.length - limit} more`));
+            }
+            return shown;
+        };
+
+        if (preview.errors.length > 0) {
+            container.appendChild(Utils.createElement('p', { className: 'import-preview__summary' },
+                `${preview.fileName} can't be imported:`));
+            container.appendChild(Utils.createElement('ul', { className: 'field-errors', role: 'alert' },
+                limitItems(preview.errors.map(error => Utils.createElement('li', {}, error)), 10)));
+            return container;
+        }
+
+        if (preview.mode === 'replace') {
+            const { current, incoming } = preview.replace;
+            container.appendChild(Utils.createElement('p', { className: 'import-preview__summary' },
+                `Replace all ${current} comments here with the ${incoming} in ${preview.fileName}. This can't be undone.`));
+            return container;
+        }
+
+        const { added, updated, remapped, unchanged } = preview.plan;
+        const summary = [`${added.length} new`, `${updated.length} changed`, `${unchanged} already here`];
+        if (remapped.length > 0) {
+            summary.push(`${remapped.length} given new ids to avoid clashes`);
+        }
+        container.appendChild(Utils.createElement('p', { className: 'import-preview__summary' }, `${summary.join(', ')}.`));
+
+        if (added.length === 0 && updated.length === 0) {
+            container.appendChild(Utils.createElement('p', { className: 'import-preview__summary' }, 'Nothing to import.'));
+            return container;
+        }
+
+        const items = [
+            ...added.map(({ comment, originalId }) => Utils.createElement('li', { className: 'import-preview__item' }, [
+                Utils.createElement('span', { className: 'status-badge' }, 'New'),
+                ` @${comment.user.username}: ${excerpt(comment.content)}`,
+                originalId !== comment.id ? ` (id ${originalId} → ${comment.id})` : ''
+            ])),
+            ...updated.map(({ comment, changes }) => Utils.createElement('li', { className: 'import-preview__item' }, [
+                Utils.createElement('span', { className: 'status-badge' }, 'Changed'),
+                ` @${comment.user.username}: ${excerpt(changes.content || comment.content)} (${Object.keys(changes).join(', ')})`
+            ]))
+        ];
+        container.appendChild(Utils.createElement('ul', { className: 'import-preview__list' }, limitItems(items, 20)));
+
+        return container;
+    },
 
     /**
      * Get action buttons HTML
      * @param {boolean} isCurrentUser - Whether comment is by current user
+     * @param {Object} comment - Comment data
+     * @param {Object} currentUser - Current user data
+     * @param {boolean} isReply - Whether this is a reply
+     * @param {Object} context - Thread state ({ locked })
      * @returns {string} HTML string
      */
-    getActionButtons(isCurrentUser) {
-        if (isCurrentUser) {
-            return `
+    getActionButtons(isCurrentUser, comment = {}, currentUser = {}, isReply = false, context = {}) {
+        const isModerator = currentUser.role === 'moderator';
+        const buttons = [];
+
+        if (isModerator) {
+            if (!isReply) {
+                buttons.push(this.getModerationButton('pin', comment.pinned ? 'Unpin' : 'Pin', comment.pinned));
+                buttons.push(this.getModerationButton('lock', comment.locked ? 'Unlock' : 'Lock', comment.locked));
+            }
+            buttons.push(this.getModerationButton('hide', comment.hidden ? 'Unhide' : 'Hide', !!comment.hidden));
+        }
+
+        if (isCurrentUser || isModerator) {
+            buttons.push(`
         <button type="button" class="btn btn--text btn--danger" data-action="delete" aria-label="Delete comment">
           <img src="./images/icon-delete.svg" alt="" aria-hidden="true">
           Delete
-        </button>
+        </button>`);
+        }
+
+        if (!isCurrentUser && currentUser.username) {
+            const hasReported = (comment.reports || []).some(report => report.username === currentUser.username);
+            buttons.push(hasReported ? `
+        <button type="button" class="btn btn--text btn--report" data-action="report" disabled aria-label="You reported this comment">
+          Reported
+        </button>` : `
+        <button type="button" class="btn btn--text btn--report" data-action="report" aria-label="Report comment">
+          Report
+        </button>`);
+        }
+
+        if (isCurrentUser) {
+            buttons.push(`
         <button type="button" class="btn btn--text" data-action="edit" aria-label="Edit comment">
           <img src="./images/icon-edit.svg" alt="" aria-hidden="true">
           Edit
-        </button>
-      `;
-        } else {
-            return `
+        </button>`);
+        } else if (!context.locked) {
+            buttons.push(`
         <button type="button" class="btn btn--text" data-action="reply" aria-label="Reply to comment">
           <img src="./images/icon-reply.svg" alt="" aria-hidden="true">
           Reply
-        </button>
-      `;
+        </button>`);
         }
+
+        return buttons.join('');
+    },
+
+    /**
+     * Get a moderator toggle button HTML
+     * @param {string} action - Moderation action (pin, lock, hide)
+     * @param {string} label - Button text
+     * @param {boolean} isActive - Whether the state is currently on
+     * @returns {string} HTML string
+     */
+    getModerationButton(action, label, isActive) {
+        return `
+        <button type="button" class="btn btn--text btn--moderation" data-action="${action}" aria-pressed="${isActive}" aria-label="${label} comment">
+          ${label}
+        </button>`;
     },
 
     /**
@@ -138,25 +1002,19 @@ const Components = {
         });
 
         formElement.innerHTML = `
-      <div class="comment-form__avatar">
-        <img src="${currentUser.image.webp || currentUser.image.png}" 
-             alt="Your avatar" 
-             class="avatar avatar--large"
-             width="40" 
-             height="40">
-      </div>
+      <div class="comment-form__avatar"></div>
       
       <div class="comment-form__input">
-        <label for="reply-text-${parentId}" class="sr-only">Reply to ${replyingTo}</label>
+        <label for="${this.idPrefix}reply-text-${parentId}" class="sr-only"></label>
         <textarea 
-          id="reply-text-${parentId}"
+          id="${this.idPrefix}reply-text-${parentId}"
           name="reply"
           placeholder="Add a reply..."
           rows="3"
           required
           class="comment-textarea"
-          aria-describedby="reply-help-${parentId}">@${replyingTo} </textarea>
-        <div id="reply-help-${parentId}" class="sr-only">Enter your reply and click Reply to post it</div>
+          aria-describedby="${this.idPrefix}reply-help-${parentId}"></textarea>
+        <div id="${this.idPrefix}reply-help-${parentId}" class="sr-only">Enter your reply and click Reply to post it</div>
       </div>
       
       <div class="comment-form__actions">
@@ -165,6 +1023,25 @@ const Components = {
       </div>
     `;
 
+        // User data is set as text and attributes so it is never parsed as markup
+        const image = currentUser.image || {};
+        formElement.querySelector('.comment-form__avatar').appendChild(Utils.createElement('img', {
+            src: image.webp || image.png || '',
+            alt: 'Your avatar',
+            className: 'avatar avatar--large',
+            width: '40',
+            height: '40'
+        }));
+        formElement.querySelector('label').textContent = `Reply to ${replyingTo}`;
+        formElement.querySelector('textarea').value = `@${replyingTo} `;
+
+        this.attachPreviewToggle(formElement.querySelector('textarea'));
+        this.attachMentionAutocomplete(formElement.querySelector('textarea'));
+        this.attachValidation(formElement.querySelector('textarea'), formElement.querySelector('[type="submit"]'), {
+            getContent: () => this.getReplyContent(formElement)
+        });
+        this.attachDraft(formElement.querySelector('textarea'), `reply-${parentId}`, `@${replyingTo} `);
+
         // Attach event listeners
         this.attachReplyFormEventListeners(formElement);
 
@@ -185,15 +1062,15 @@ const Components = {
 
         formElement.innerHTML = `
       <div class="edit-form__input">
-        <label for="edit-text-${comment.id}" class="sr-only">Edit your comment</label>
+        <label for="${this.idPrefix}edit-text-${comment.id}" class="sr-only">Edit your comment</label>
         <textarea 
-          id="edit-text-${comment.id}"
+          id="${this.idPrefix}edit-text-${comment.id}"
           name="content"
           rows="3"
           required
           class="comment-textarea"
-          aria-describedby="edit-help-${comment.id}">${comment.content}</textarea>
-        <div id="edit-help-${comment.id}" class="sr-only">Edit your comment and click Update to save changes</div>
+          aria-describedby="${this.idPrefix}edit-help-${comment.id}"></textarea>
+        <div id="${this.idPrefix}edit-help-${comment.id}" class="sr-only">Edit your comment and click Update to save changes</div>
       </div>
       
       <div class="edit-form__actions">
@@ -202,6 +1079,15 @@ const Components = {
       </div>
     `;
 
+        // Set as a value so the text is never parsed as markup
+        formElement.querySelector('textarea').value = comment.content;
+        this.attachPreviewToggle(formElement.querySelector('textarea'));
+        this.attachMentionAutocomplete(formElement.querySelector('textarea'));
+        this.attachValidation(formElement.querySelector('textarea'), formElement.querySelector('[type="submit"]'), {
+            isEdit: true
+        });
+        this.attachDraft(formElement.querySelector('textarea'), `edit-${comment.id}`, comment.content);
+
         // Attach event listeners
         this.attachEditFormEventListeners(formElement);
 
@@ -209,67 +1095,134 @@ const Components = {
     },
 
     /**
-     * Create replies container
-     * @param {Array} replies - Array of reply objects
-     * @param {Object} currentUser - Current user data
+     * Create an empty replies container; the app patches the replies into it
+     * @param {number} depth - Nesting depth of these replies (1 = direct replies)
+     * @param {number} maxIndentDepth - Depth after which replies stop indenting
      * @returns {Element} Replies container element
      */
-    createRepliesContainer(replies, currentUser) {
-        const repliesContainer = Utils.createElement('div', {
-            className: 'replies',
+    createRepliesContainer(depth, maxIndentDepth = this.MAX_INDENT_DEPTH) {
+        return Utils.createElement('div', {
+            className: depth > maxIndentDepth ? 'replies replies--flat' : 'replies',
+            'data-depth': depth,
             'aria-label': 'Replies'
         });
+    },
 
-        replies.forEach(reply => {
-            const replyElement = this.createComment(reply, currentUser, true);
-            repliesContainer.appendChild(replyElement);
-        });
+    /**
+     * Notice for replies a search hides
+     * @param {number} hiddenCount - Number of hidden replies
+     * @returns {Element} Notice element
+     */
+    createCollapsedRepliesNotice(hiddenCount) {
+        return Utils.createElement('p', {
+            className: 'replies__collapsed'
+        }, `${hiddenCount} ${hiddenCount === 1 ? 'reply' : 'replies'} without matches collapsed`);
+    },
 
-        return repliesContainer;
+    /**
+     * Button under a long reply list that shows the rest of it; it goes
+     * inside the replies of the comment whose list is cut short
+     * @param {number} hiddenCount - Replies not shown yet
+     * @returns {Element} Button element
+     */
+    createShowMoreReplies(hiddenCount) {
+        return Utils.createElement('button', {
+            type: 'button',
+            className: 'btn btn--text replies__more',
+            'data-action': 'more-replies'
+        }, `Show ${hiddenCount} more ${hiddenCount === 1 ? 'reply' : 'replies'}`);
     },
 
     /**
-     * Attach event listeners to comment
-     * @param {Element} commentElement - Comment element
-     * @param {Object} comment - Comment data
-     * @param {Object} currentUser - Current user data
-     * @param {boolean} isCurrentUser - Whether comment is by current user
+     * "Load more" button at the end of a paginated comments list
+     * @param {number} count - Comments the next page adds
+     * @param {number} remaining - Comments not shown yet
+     * @returns {Element} Button element
      */
-    attachCommentEventListeners(commentElement, comment, currentUser, isCurrentUser) {
-        // Voting buttons
-        const votingButtons = commentElement.querySelectorAll('.voting__button');
-        votingButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const action = e.currentTarget.dataset.action;
-                this.handleVoting(comment.id, action);
-            });
-        });
+    createLoadMoreButton(count, remaining) {
+        return Utils.createElement('button', {
+            type: 'button',
+            className: 'btn btn--secondary comments-load-more',
+            'data-action': 'load-more'
+        }, count === remaining
+            ? `Load ${count} more ${count === 1 ? 'comment' : 'comments'}`
+            : `Load ${count} more comments (${remaining} left)`);
+    },
 
-        // Action buttons
-        const actionButtons = commentElement.querySelectorAll('[data-action]');
-        actionButtons.forEach(button => {
-            const action = button.dataset.action;
-            if (action !== 'upvote' && action !== 'downvote') {
-                button.addEventListener('click', (e) => {
-                    this.handleCommentAction(e, comment, currentUser);
-                });
-            }
+    /**
+     * Empty block standing in for comments outside the rendered window
+     * @param {number} height - Height in pixels
+     * @param {string} position - 'top' or 'bottom'
+     * @returns {Element} Spacer element
+     */
+    createSpacer(height, position) {
+        const spacer = Utils.createElement('div', {
+            className: `comments-spacer comments-spacer--${position}`,
+            'aria-hidden': 'true'
         });
+        spacer.style.height = `${Math.round(height)}px`;
+        return spacer;
+    },
 
-        // Keyboard navigation
-        commentElement.addEventListener('keydown', (e) => {
-            Utils.handleKeyboardNav(e, {
-                'Enter': () => {
-                    if (e.target.matches('.voting__button')) {
-                        e.target.click();
-                    }
-                },
-                ' ': () => {
-                    if (e.target.matches('.voting__button')) {
-                        e.target.click();
-                    }
-                }
-            });
+    /**
+     * Update a comment element in place from a freshly built one. Its own
+     * parts (voting, header, content, actions) are swapped; an open reply
+     * form, the typing indicator and the nested replies stay where they are,
+     * and an open edit form moves over.
+     * @param {Element} commentElement - Comment element in the page
+     * @param {Element} builtElement - Element from createComment for the same comment
+     */
+    patchComment(commentElement, builtElement) {
+        const editForm = commentElement.querySelector(':scope > .comment__main > .edit-form');
+        if (editForm) {
+            const contentElement = builtElement.querySelector(':scope > .comment__main > .comment__content');
+            contentElement.style.display = 'none';
+            contentElement.after(editForm);
+        }
+
+        commentElement.querySelectorAll(':scope > .voting, :scope > .comment__main').forEach(part => part.remove());
+        commentElement.prepend(...builtElement.children);
+        commentElement.className = builtElement.className;
+        commentElement.setAttribute('aria-label', builtElement.getAttribute('aria-label'));
+    },
+
+    /**
+     * Click handler for the whole comments list. Buttons say what they do
+     * with data-action and belong to the closest article[data-comment-id],
+     * so comments carry no listeners of their own and re-rendering them
+     * leaves nothing behind. Buttons inside reply and edit forms are wired
+     * by the form.
+     * @param {Event} e - Click event
+     */
+    handleListClick(e) {
+        // Mention links jump to that user's latest comment
+        const mention = e.target.closest('.comment__content [data-mention]');
+        if (mention) {
+            e.preventDefault();
+            this.root.dispatchEvent(new CustomEvent('showMention', {
+                detail: { username: mention.dataset.mention }
+            }));
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button || button.disabled || button.closest('form')) return;
+
+        const commentElement = button.closest('article[data-comment-id]');
+        const commentId = commentElement ? parseInt(commentElement.dataset.commentId) : null;
+        this.handleCommentAction(button, commentId);
+    },
+
+    /**
+     * Keydown handler for the whole comments list
+     * @param {Event} e - Keydown event
+     */
+    handleListKeydown(e) {
+        if (!e.target.matches('.voting__button')) return;
+
+        Utils.handleKeyboardNav(e, {
+            'Enter': () => e.target.click(),
+            ' ': () => e.target.click()
         });
     },
 
@@ -292,6 +1245,11 @@ const Components = {
             this.cancelReply(formElement);
         });
 
+        // Let collaborators see that a reply is being written
+        textarea.addEventListener('input', () => {
+            this.dispatchReplyTyping(formElement, true);
+        });
+
         // Auto-focus textarea
         setTimeout(() => {
             textarea.focus();
@@ -354,49 +1312,102 @@ const Components = {
      */
     handleVoting(commentId, action) {
         // Dispatch custom event for vote handling
-        document.dispatchEvent(new CustomEvent('commentVote', {
+        this.root.dispatchEvent(new CustomEvent('commentVote', {
             detail: { commentId, action }
         }));
     },
 
     /**
      * Handle comment actions (reply, edit, delete)
-     * @param {Event} e - Click event
-     * @param {Object} comment - Comment data
-     * @param {Object} currentUser - Current user data
+     * @param {Element} button - Button that was clicked
+     * @param {number|null} commentId - Comment the button belongs to
      */
-    handleCommentAction(e, comment, currentUser) {
-        const action = e.currentTarget.dataset.action;
+    handleCommentAction(button, commentId) {
+        const action = button.dataset.action;
 
         switch (action) {
-            case 'reply':
-                this.showReplyForm(comment, currentUser);
+            case 'upvote':
+            case 'downvote':
+                this.handleVoting(commentId, action);
                 break;
-            case 'edit':
-                this.showEditForm(comment);
+            case 'reply': {
+                const { comment, currentUser } = this.queryComment(commentId);
+                if (comment) {
+                    this.showReplyForm(comment, currentUser);
+                }
                 break;
+            }
+            case 'edit': {
+                const { comment } = this.queryComment(commentId);
+                if (comment) {
+                    this.showEditForm(comment);
+                }
+                break;
+            }
             case 'delete':
-                this.showDeleteModal(comment);
+                this.showDeleteModal(commentId);
+                break;
+            case 'history':
+                this.showHistory(commentId);
+                break;
+            case 'report':
+                this.root.dispatchEvent(new CustomEvent('showReportModal', {
+                    detail: { commentId }
+                }));
+                break;
+            case 'expand':
+                // Remembered by the app so the comment stays open across re-renders
+                this.root.dispatchEvent(new CustomEvent('expandComment', {
+                    detail: { commentId }
+                }));
+                break;
+            case 'pin':
+            case 'lock':
+            case 'hide':
+                this.root.dispatchEvent(new CustomEvent('moderateComment', {
+                    detail: { commentId, action }
+                }));
+                break;
+            case 'more-replies':
+                // The button sits in the replies of the comment it expands
+                this.root.dispatchEvent(new CustomEvent('showMoreReplies', {
+                    detail: { commentId }
+                }));
+                break;
+            case 'load-more':
+                this.root.dispatchEvent(new CustomEvent('loadMoreComments'));
                 break;
         }
     },
 
+    /**
+     * Look up a comment's current data from the app
+     * @param {number} commentId - Comment ID
+     * @returns {Object} { comment, currentUser } - comment is null when it no longer exists
+     */
+    queryComment(commentId) {
+        const detail = { commentId, comment: null, currentUser: null };
+        this.root.dispatchEvent(new CustomEvent('commentQuery', { detail }));
+        return detail;
+    },
+
     /**
      * Show reply form
      * @param {Object} comment - Comment being replied to
      * @param {Object} currentUser - Current user data
      */
     showReplyForm(comment, currentUser) {
-        const commentElement = document.querySelector(`[data-comment-id="${comment.id}"]`);
-        const existingForm = commentElement.querySelector('.comment-form--reply');
+        const commentElement = this.root.querySelector(`[data-comment-id="${comment.id}"]`);
+        const existingForm = commentElement.querySelector(':scope > .comment-form--reply');
 
         if (existingForm) {
             existingForm.remove();
             return;
         }
 
+        // Keep the form above this comment's own nested replies
         const replyForm = this.createReplyForm(currentUser, comment.user.username, comment.id);
-        commentElement.appendChild(replyForm);
+        commentElement.insertBefore(replyForm, commentElement.querySelector(':scope > .replies'));
         replyForm.classList.add('slide-in');
     },
 
@@ -405,9 +1416,9 @@ const Components = {
      * @param {Object} comment - Comment being edited
      */
     showEditForm(comment) {
-        const commentElement = document.querySelector(`[data-comment-id="${comment.id}"]`);
-        const contentElement = commentElement.querySelector('.comment__content');
-        const existingForm = commentElement.querySelector('.edit-form');
+        const commentElement = this.root.querySelector(`[data-comment-id="${comment.id}"]`);
+        const contentElement = commentElement.querySelector(':scope > .comment__main > .comment__content');
+        const existingForm = commentElement.querySelector(':scope > .comment__main > .edit-form');
 
         if (existingForm) {
             existingForm.remove();
@@ -423,11 +1434,21 @@ const Components = {
 
     /**
      * Show delete confirmation modal
-     * @param {Object} comment - Comment to delete
+     * @param {number} commentId - Comment to delete
+     */
+    showDeleteModal(commentId) {
+        this.root.dispatchEvent(new CustomEvent('showDeleteModal', {
+            detail: { commentId }
+        }));
+    },
+
+    /**
+     * Show edit history modal
+     * @param {number} commentId - Comment whose history to show
      */
-    showDeleteModal(comment) {
-        document.dispatchEvent(new CustomEvent('showDeleteModal', {
-            detail: { commentId: comment.id }
+    showHistory(commentId) {
+        this.root.dispatchEvent(new CustomEvent('showHistory', {
+            detail: { commentId }
         }));
     },
 
@@ -437,30 +1458,40 @@ const Components = {
      */
     handleReplySubmit(formElement) {
         const textarea = formElement.querySelector('textarea');
-        const content = textarea.value.trim();
         const parentId = parseInt(formElement.dataset.parentId);
         const replyingTo = formElement.dataset.replyingTo;
 
-        // Extract content after @username
-        const atMention = `@${replyingTo} `;
-        const actualContent = content.startsWith(atMention)
-            ? content.substring(atMention.length).trim()
-            : content;
-
-        const validation = Utils.validateComment(actualContent);
+        const validation = this.validateContent(this.getReplyContent(formElement));
         if (!validation.isValid) {
-            Utils.showNotification(validation.message, 'error');
+            this.showFieldErrors(textarea, validation.errors);
             return;
         }
 
-        // Dispatch custom event for reply creation
-        document.dispatchEvent(new CustomEvent('createReply', {
-            detail: { parentId, replyingTo, content: actualContent }
-        }));
+        // Dispatch custom event for reply creation; the app sets accepted to false
+        // when it refuses the reply, and the form stays open
+        const detail = { parentId, replyingTo, content: validation.content, accepted: null };
+        this.root.dispatchEvent(new CustomEvent('createReply', { detail }));
+        if (detail.accepted === false) return;
 
         this.cancelReply(formElement);
     },
 
+    /**
+     * Reply text without the leading @username the form starts with
+     * @param {Element} formElement - Reply form element
+     * @returns {string} Reply content
+     */
+    getReplyContent(formElement) {
+        const content = formElement.querySelector('textarea').value.trim();
+        const atMention = `@${formElement.dataset.replyingTo}`;
+        if (content === atMention) {
+            return '';
+        }
+        return content.startsWith(atMention) && /\s/.test(content.charAt(atMention.length))
+            ? content.substring(atMention.length).trim()
+            : content;
+    },
+
     /**
      * Handle edit form submission
      * @param {Element} formElement - Edit form element
@@ -470,25 +1501,194 @@ const Components = {
         const content = textarea.value.trim();
         const commentId = parseInt(formElement.dataset.commentId);
 
-        const validation = Utils.validateComment(content);
+        const validation = this.validateContent(content, { isEdit: true });
         if (!validation.isValid) {
-            Utils.showNotification(validation.message, 'error');
+            this.showFieldErrors(textarea, validation.errors);
             return;
         }
 
-        // Dispatch custom event for comment update
-        document.dispatchEvent(new CustomEvent('updateComment', {
-            detail: { commentId, content }
-        }));
+        // Dispatch custom event for comment update (accepted as for replies)
+        const detail = { commentId, content: validation.content, accepted: null };
+        this.root.dispatchEvent(new CustomEvent('updateComment', { detail }));
+        if (detail.accepted === false) return;
 
         this.cancelEdit(formElement);
     },
 
+    /**
+     * Validate form text with the app's content rules. The app answers the
+     * synchronous validateComment event; without it the default rules apply.
+     * @param {string} content - Text to validate
+     * @param {Object} options - { isEdit } for edits, which skip the rate limit
+     * @returns {Object} Validation result from Utils.validateComment
+     */
+    validateContent(content, options = {}) {
+        const detail = { content, isEdit: !!options.isEdit, result: null };
+        this.root.dispatchEvent(new CustomEvent('validateComment', { detail }));
+        return detail.result || Utils.validateComment(content, options);
+    },
+
+    /**
+     * Validate a textarea as the user types: keep an "n / max" counter up to
+     * date, show errors inline and disable the submit button while invalid
+     * @param {Element} textarea - Form textarea (needs an id)
+     * @param {Element} submitButton - The form's submit button
+     * @param {Object} options - Validation options
+     * @param {boolean} options.isEdit - Edits skip the rate limit
+     * @param {Function} options.getContent - Returns the text to validate (defaults to the textarea value)
+     */
+    attachValidation(textarea, submitButton, options = {}) {
+        const getContent = options.getContent || (() => textarea.value);
+        const counterId = `${textarea.id}-counter`;
+        const counter = Utils.createElement('span', { className: 'char-counter', id: counterId });
+
+        const container = textarea.closest('.comment-form__input, .edit-form__input') || textarea.parentNode;
+        container.appendChild(counter);
+
+        const describedBy = (textarea.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        textarea.setAttribute('aria-describedby', [...describedBy, counterId].join(' '));
+
+        let hasTyped = false;
+        const update = () => {
+            const validation = this.validateContent(getContent(), { isEdit: options.isEdit });
+            const { length, limits } = validation;
+
+            counter.textContent = limits.maxLength ? `${length} / ${limits.maxLength}` : `${length}`;
+            counter.classList.toggle('char-counter--over', !!limits.maxLength && length > limits.maxLength);
+            counter.classList.toggle('char-counter--near', !!limits.maxLength &&
+                length <= limits.maxLength && length >= limits.maxLength * 0.9);
+
+            if (submitButton) {
+                submitButton.disabled = !validation.isValid;
+            }
+
+            // An empty box only disables Send; other problems show once the user has typed
+            const errors = validation.errors.filter(error => error.code !== 'empty');
+            if (hasTyped && errors.length > 0) {
+                this.showFieldErrors(textarea, errors, { focus: false });
+            } else {
+                this.clearFieldErrors(textarea);
+            }
+        };
+
+        textarea.addEventListener('input', () => {
+            hasTyped = true;
+            update();
+        });
+        update();
+    },
+
+    /**
+     * Autosave a textarea as a draft and restore it when the form opens again.
+     * The app answers the synchronous draftQuery event and stores draftChange.
+     * @param {Element} textarea - Form textarea
+     * @param {string} draftKey - Form key ('comment', 'reply-<parentId>', 'edit-<commentId>')
+     * @param {string} initialValue - Text the form starts with; not worth saving
+     */
+    attachDraft(textarea, draftKey, initialValue = '') {
+        const saveDraft = (content) => {
+            this.root.dispatchEvent(new CustomEvent('draftChange', {
+                detail: { draftKey, content: content === initialValue ? '' : content }
+            }));
+        };
+
+        const query = { draftKey, draft: null };
+        this.root.dispatchEvent(new CustomEvent('draftQuery', { detail: query }));
+
+        if (query.draft && query.draft.content && query.draft.content !== initialValue) {
+            textarea.value = query.draft.content;
+
+            const discardButton = Utils.createElement('button', {
+                type: 'button',
+                className: 'btn btn--text draft-hint__discard'
+            }, 'Discard');
+            const hint = Utils.createElement('p', { className: 'draft-hint', role: 'status' }, [
+                'Draft restored. ',
+                discardButton
+            ]);
+            discardButton.addEventListener('click', () => {
+                textarea.value = initialValue;
+                textarea.dispatchEvent(new Event('input'));
+                textarea.focus();
+            });
+
+            // The hint goes once the form is back to its starting text (discarded or sent)
+            textarea.addEventListener('input', () => {
+                if (textarea.value === initialValue) {
+                    hint.remove();
+                }
+            });
+
+            const container = textarea.closest('.comment-form__input, .edit-form__input') || textarea.parentNode;
+            container.insertBefore(hint, container.firstChild);
+
+            // Let the counter and validation catch up with the restored text
+            textarea.dispatchEvent(new Event('input'));
+        }
+
+        textarea.addEventListener('input', () => saveDraft(textarea.value));
+    },
+
+    /**
+     * Show validation errors next to a textarea
+     * @param {Element} textarea - Form textarea
+     * @param {Array} errors - Errors from Utils.validateComment ({ code, message })
+     * @param {Object} options - { focus: false } to leave focus where it is
+     */
+    showFieldErrors(textarea, errors, options = {}) {
+        this.clearFieldErrors(textarea);
+
+        const errorsId = `${textarea.id}-errors`;
+        const list = Utils.createElement('ul', {
+            className: 'field-errors',
+            id: errorsId,
+            role: 'alert'
+        }, errors.map(error => Utils.createElement('li', {
+            className: 'field-errors__item',
+            'data-code': error.code
+        }, error.message)));
+
+        const container = textarea.closest('.comment-form__input, .edit-form__input') || textarea.parentNode;
+        container.appendChild(list);
+
+        textarea.setAttribute('aria-invalid', 'true');
+        const describedBy = (textarea.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        textarea.setAttribute('aria-describedby', [...describedBy, errorsId].join(' '));
+
+        if (options.focus !== false) {
+            textarea.focus();
+        }
+    },
+
+    /**
+     * Remove validation errors shown by showFieldErrors
+     * @param {Element} textarea - Form textarea
+     */
+    clearFieldErrors(textarea) {
+        const errorsId = `${textarea.id}-errors`;
+        const container = textarea.closest('.comment-form__input, .edit-form__input') || textarea.parentNode;
+        const list = container && container.querySelector('.field-errors');
+        if (list) {
+            list.remove();
+        }
+
+        textarea.removeAttribute('aria-invalid');
+        const describedBy = (textarea.getAttribute('aria-describedby') || '')
+            .split(' ')
+            .filter(id => id && id !== errorsId);
+        if (describedBy.length > 0) {
+            textarea.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            textarea.removeAttribute('aria-describedby');
+        }
+    },
+
     /**
      * Cancel reply form
      * @param {Element} formElement - Reply form element
      */
     cancelReply(formElement) {
+        this.dispatchReplyTyping(formElement, false);
         formElement.classList.add('fade-out');
         setTimeout(() => {
             if (formElement.parentNode) {
@@ -497,13 +1697,84 @@ const Components = {
         }, 300);
     },
 
+    /**
+     * Tell the app the user started or stopped writing a reply
+     * @param {Element} formElement - Reply form element
+     * @param {boolean} active - Whether the user is typing
+     */
+    dispatchReplyTyping(formElement, active) {
+        this.root.dispatchEvent(new CustomEvent('replyTyping', {
+            detail: { commentId: parseInt(formElement.dataset.parentId), active }
+        }));
+    },
+
+    /**
+     * Show, update or remove the "X is typing a reply…" line under a comment
+     * @param {Element} commentElement - Comment element
+     * @param {Array} names - Display names of the people typing (empty removes the line)
+     */
+    updateTypingIndicator(commentElement, names) {
+        let indicator = commentElement.querySelector(':scope > .typing-indicator');
+
+        if (names.length === 0) {
+            if (indicator) {
+                indicator.remove();
+            }
+            return;
+        }
+
+        if (!indicator) {
+            indicator = Utils.createElement('p', { className: 'typing-indicator', 'aria-live': 'polite' });
+            commentElement.insertBefore(indicator, commentElement.querySelector(':scope > .replies'));
+        }
+
+        if (names.length === 1) {
+            indicator.textContent = `${names[0]} is typing a reply…`;
+        } else if (names.length === 2) {
+            indicator.textContent = `${names[0]} and ${names[1]} are typing replies…`;
+        } else {
+            indicator.textContent = `${names.length} people are typing replies…`;
+        }
+    },
+
+    /**
+     * Create the list of people online
+     * @param {Array} users - Online users ({ username, displayName, image })
+     * @param {string} currentUsername - Username of this client's user
+     * @returns {Element} Presence list
+     */
+    createPresenceList(users, currentUsername) {
+        const list = Utils.createElement('ul', { className: 'presence__list' });
+
+        users.forEach(user => {
+            const isSelf = user.username === currentUsername;
+            const name = `${user.displayName || user.username}${isSelf ? ' (you)' : ''}`;
+            const avatar = Utils.createElement('img', {
+                src: user.image ? (user.image.webp || user.image.png) : '',
+                alt: '',
+                className: 'avatar presence__avatar',
+                width: 24,
+                height: 24
+            });
+            list.appendChild(Utils.createElement('li', {
+                className: `presence__user${isSelf ? ' presence__user--self' : ''}`,
+                title: name
+            }, [
+                avatar,
+                Utils.createElement('span', { className: 'sr-only' }, name)
+            ]));
+        });
+
+        return list;
+    },
+
     /**
      * Cancel edit form
      * @param {Element} formElement - Edit form element
      */
     cancelEdit(formElement) {
-        const commentElement = formElement.closest('[data-comment-id]');
-        const contentElement = commentElement.querySelector('.comment__content');
+        const commentElement = formElement.closest('article[data-comment-id]');
+        const contentElement = commentElement.querySelector(':scope > .comment__main > .comment__content');
 
         formElement.classList.add('fade-out');
         setTimeout(() => {
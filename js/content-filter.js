@@ -0,0 +1,202 @@
+/**
+ * Content rules for comment text
+ *
+ * The embedding page picks the rules (see `CommentsApp` `contentRules`):
+ *   minLength, maxLength  - Trimmed length limits
+ *   blocklist             - Words that may not appear (whole words, any case)
+ *   blocklistMode         - 'mask' replaces them with asterisks, 'reject' refuses the comment
+ *   maxLinks              - Most links allowed in one comment
+ *   maxRepeatedChars      - Longest run of one character, e.g. 4 refuses "soooooo"
+ *   capsRatio             - Share of upper-case letters that counts as shouting (0..1)
+ *   capsMinLetters        - Shorter comments are never treated as shouting
+ *   rateLimit             - { max, windowMs }: new posts allowed per user per window
+ * Rules set to null are off.
+ */
+
+const ContentFilter = {
+    DEFAULT_RULES: {
+        minLength: 3,
+        maxLength: 1000,
+        blocklist: [],
+        blocklistMode: 'mask',
+        maxLinks: null,
+        maxRepeatedChars: null,
+        capsRatio: null,
+        capsMinLetters: 12,
+        rateLimit: null
+    },
+
+    LINK_PATTERN: /\bhttps?:\/\/[^\s)]+|\bwww\.[^\s)]+/gi,
+
+    /**
+     * Merge page-supplied rules over the defaults
+     * @param {Object} rules - Partial rules
+     * @returns {Object} Complete rules
+     */
+    createRules(rules = {}) {
+        return { ...this.DEFAULT_RULES, ...rules };
+    },
+
+    /**
+     * Check comment text against the rules
+     * @param {string} content - Comment text
+     * @param {Object} context - Check context
+     * @param {Object} context.rules - Rules from createRules (defaults when omitted)
+     * @param {Array} context.postTimes - Timestamps (ms) of the author's earlier posts, for the rate limit
+     * @param {boolean} context.isEdit - Edits don't count against the rate limit
+     * @returns {Object} { isValid, errors: [{ code, message }], content, length, limits } where
+     *   content is the trimmed text with masked words replaced and limits is
+     *   { minLength, maxLength } for counters
+     */
+    check(content, context = {}) {
+        const rules = context.rules || this.DEFAULT_RULES;
+        const errors = [];
+        let text = String(content).trim();
+        const length = text.length;
+        const limits = { minLength: rules.minLength, maxLength: rules.maxLength };
+
+        if (!text) {
+            errors.push({ code: 'empty', message: 'Comment cannot be empty' });
+            return { isValid: false, errors, content: text, length, limits };
+        }
+
+        if (rules.minLength && text.length < rules.minLength) {
+            errors.push({
+                code: 'too-short',
+                message: `Comment must be at least ${rules.minLength} characters long`,
+                limit: rules.minLength
+            });
+        }
+
+        if (rules.maxLength && text.length > rules.maxLength) {
+            errors.push({
+                code: 'too-long',
+                message: `Comment cannot exceed ${rules.maxLength} characters`,
+                limit: rules.maxLength
+            });
+        }
+
+        const blocked = this.findBlockedWords(text, rules.blocklist);
+        if (blocked.length > 0) {
+            if (rules.blocklistMode === 'reject') {
+                errors.push({
+                    code: 'blocked-words',
+                    message: `Please remove: ${blocked.join(', ')}`,
+                    words: blocked
+                });
+            } else {
+                text = this.maskWords(text, rules.blocklist);
+            }
+        }
+
+        const links = text.match(this.LINK_PATTERN) || [];
+        if (rules.maxLinks !== null && links.length > rules.maxLinks) {
+            errors.push({
+                code: 'too-many-links',
+                message: rules.maxLinks === 0
+                    ? 'Links are not allowed'
+                    : `Use at most ${rules.maxLinks} ${rules.maxLinks === 1 ? 'link' : 'links'} (found ${links.length})`,
+                limit: rules.maxLinks
+            });
+        }
+
+        if (rules.maxRepeatedChars) {
+            const repeated = text.match(new RegExp(`(\\S)\\1{${rules.maxRepeatedChars},}`, 'u'));
+            if (repeated) {
+                errors.push({
+                    code: 'repeated-chars',
+                    message: `Don't repeat a character more than ${rules.maxRepeatedChars} times in a row`,
+                    limit: rules.maxRepeatedChars
+                });
+            }
+        }
+
+        if (rules.capsRatio !== null && this.isShouting(text, rules)) {
+            errors.push({ code: 'all-caps', message: 'Please don\'t write in all caps' });
+        }
+
+        if (rules.rateLimit && !context.isEdit) {
+            const retryAfter = this.getRetryAfter(context.postTimes || [], rules.rateLimit);
+            if (retryAfter > 0) {
+                errors.push({
+                    code: 'rate-limit',
+                    message: `You're posting too fast. Try again in ${Math.ceil(retryAfter / 1000)}s`,
+                    retryAfter
+                });
+            }
+        }
+
+        return { isValid: errors.length === 0, errors, content: text, length, limits };
+    },
+
+    /**
+     * Blocklisted words present in a text
+     * @param {string} text - Text to search
+     * @param {Array} blocklist - Words to look for
+     * @returns {Array} Blocklist entries found
+     */
+    findBlockedWords(text, blocklist = []) {
+        return blocklist.filter(word => word && this.createWordPattern(word).test(text));
+    },
+
+    /**
+     * Replace blocklisted words with asterisks
+     * @param {string} text - Text to mask
+     * @param {Array} blocklist - Words to mask
+     * @returns {string} Masked text
+     */
+    maskWords(text, blocklist = []) {
+        return blocklist.filter(Boolean).reduce((masked, word) => (
+            masked.replace(this.createWordPattern(word, 'g'), match => '*'.repeat(match.length))
+        ), text);
+    },
+
+    /**
+     * Case-insensitive whole-word pattern for a blocklist entry
+     * @param {string} word - Word or phrase
+     * @param {string} flags - Extra RegExp flags
+     * @returns {RegExp} Pattern
+     */
+    createWordPattern(word, flags = '') {
+        const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, `iu${flags}`);
+    },
+
+    /**
+     * Whether most letters in a text are upper case
+     * @param {string} text - Text to check
+     * @param {Object} rules - Rules with capsRatio and capsMinLetters
+     * @returns {boolean} True if the text is shouting
+     */
+    isShouting(text, rules) {
+        const letters = text.match(/\p{L}/gu) || [];
+        if (letters.length < rules.capsMinLetters) {
+            return false;
+        }
+        const upper = letters.filter(letter => letter !== letter.toLowerCase()).length;
+        return upper / letters.length >= rules.capsRatio;
+    },
+
+    /**
+     * Milliseconds until another post fits in the rate limit
+     * @param {Array} postTimes - Timestamps (ms) of earlier posts
+     * @param {Object} rateLimit - { max, windowMs }
+     * @returns {number} 0 when posting is allowed now
+     */
+    getRetryAfter(postTimes, rateLimit) {
+        const now = Date.now();
+        const recent = postTimes
+            .filter(time => now - time < rateLimit.windowMs)
+            .sort((a, b) => a - b);
+
+        if (recent.length < rateLimit.max) {
+            return 0;
+        }
+        return recent[recent.length - rateLimit.max] + rateLimit.windowMs - now;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentFilter;
+}
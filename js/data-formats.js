@@ -0,0 +1,326 @@
+/**
+ * Export and import formats for the comment thread
+ *
+ *   json     - The stored data as-is (see Storage.exportData)
+ *   markdown - Readable nested list, one item per comment
+ *   csv      - One row per comment, replies flattened with their parentId
+ *   html     - Self-contained static page (inline styles, no scripts or images)
+ * Markdown, CSV and HTML replace the text of hidden comments with HIDDEN_PLACEHOLDER.
+ * JSON and CSV can be imported again; see Storage.parseImport.
+ */
+
+const DataFormats = {
+    FORMATS: {
+        json: { label: 'JSON (full backup)', extension: 'json', mimeType: 'application/json' },
+        markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+        csv: { label: 'CSV (spreadsheet)', extension: 'csv', mimeType: 'text/csv' },
+        html: { label: 'HTML snapshot', extension: 'html', mimeType: 'text/html' }
+    },
+
+    // Column order for CSV export; import needs the first five, the rest are optional
+    CSV_COLUMNS: ['id', 'parentId', 'username', 'createdAt', 'content', 'replyingTo', 'score', 'version', 'pinned', 'hidden', 'locked'],
+
+    CSV_REQUIRED_COLUMNS: ['id', 'parentId', 'username', 'createdAt', 'content'],
+
+    HIDDEN_PLACEHOLDER: 'This comment was hidden by a moderator.',
+
+    // Text a spreadsheet would run as a formula; exported with a leading "'".
+    // Text that already starts with "'"s before one of these gets one more, so
+    // import can always take exactly one off
+    CSV_FORMULA_PATTERN: /^'*[=+\-@\t\r]/,
+
+    /**
+     * Every comment in thread order (parents before their replies)
+     * @param {Array} comments - Top-level comments
+     * @returns {Array} Entries ({ comment, parentId, depth })
+     */
+    flattenComments(comments) {
+        const entries = [];
+        const walk = (list, parentId, depth) => {
+            list.forEach(comment => {
+                entries.push({ comment, parentId, depth });
+                walk(comment.replies || [], comment.id, depth + 1);
+            });
+        };
+        walk(comments, null, 0);
+        return entries;
+    },
+
+    /**
+     * Comment text as exports show it: hidden comments get the placeholder
+     * members see, since Markdown, CSV and HTML files are made for sharing
+     * @param {Object} comment - Comment data
+     * @returns {string} Text to export
+     */
+    getSharedContent(comment) {
+        return comment.hidden ? this.HIDDEN_PLACEHOLDER : comment.content;
+    },
+
+    /**
+     * Export the thread as Markdown
+     * @param {Object} data - Thread data
+     * @returns {string} Markdown text
+     */
+    toMarkdown(data) {
+        const entries = this.flattenComments(data.comments);
+        const lines = [
+            '# Comments',
+            '',
+            `Exported ${new Date().toISOString().split('T')[0]} · ${entries.length} ${entries.length === 1 ? 'comment' : 'comments'}`
+        ];
+
+        entries.forEach(({ comment, depth }) => {
+            const indent = '  '.repeat(depth);
+            const details = [
+                comment.createdAt.split('T')[0],
+                `${comment.score} ${Math.abs(comment.score) === 1 ? 'point' : 'points'}`,
+                comment.replyingTo ? `replying to @${comment.replyingTo}` : '',
+                comment.pinned ? 'pinned' : '',
+                comment.hidden ? 'hidden' : ''
+            ].filter(Boolean).join(' · ');
+
+            lines.push('', `${indent}- **@${comment.user.username}** · ${details}`, '');
+            this.getSharedContent(comment).split(/\r?\n/).forEach(line => {
+                lines.push(line ? `${indent}  ${line}` : '');
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Export the thread as CSV, one row per comment
+     * @param {Object} data - Thread data
+     * @returns {string} CSV text
+     */
+    toCSV(data) {
+        const rows = this.flattenComments(data.comments).map(({ comment, parentId }) => ({
+            ...comment,
+            content: this.getSharedContent(comment),
+            parentId: parentId === null ? '' : parentId,
+            username: comment.user.username
+        }));
+
+        return [
+            this.CSV_COLUMNS.join(','),
+            ...rows.map(row => this.CSV_COLUMNS.map(column => this.escapeCSV(row[column])).join(','))
+        ].join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Quote a CSV field when it needs it, and defuse text that starts like a
+     * formula (numbers such as a negative score are left alone)
+     * @param {*} value - Field value (undefined/null become empty)
+     * @returns {string} CSV field
+     */
+    escapeCSV(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (typeof value !== 'number' && this.CSV_FORMULA_PATTERN.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Undo the formula prefix escapeCSV adds
+     * @param {string} field - Parsed CSV field
+     * @returns {string} Original text
+     */
+    unescapeCSV(field) {
+        return field.startsWith("'") && this.CSV_FORMULA_PATTERN.test(field) ? field.slice(1) : field;
+    },
+
+    /**
+     * Split CSV text into rows of fields (RFC 4180 quoting)
+     * @param {string} text - CSV text
+     * @returns {Array} Rows, each an array of strings
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        // Blank lines carry no comment
+        return rows.filter(fields => fields.some(value => value !== ''));
+    },
+
+    /**
+     * Rebuild the comment tree from CSV exported by toCSV
+     * @param {string} text - CSV text
+     * @returns {Object} { comments, errors } - errors name the row, e.g. "row 3: id must be a whole number"
+     */
+    fromCSV(text) {
+        const [header, ...rows] = this.parseCSV(String(text).replace(/^\uFEFF/, ''));
+        const errors = [];
+
+        if (!header) {
+            return { comments: [], errors: ['The file is empty'] };
+        }
+        const columns = header.map(name => name.trim());
+        const missing = this.CSV_REQUIRED_COLUMNS.filter(name => !columns.includes(name));
+        if (missing.length > 0) {
+            return { comments: [], errors: [`Missing columns: ${missing.join(', ')}`] };
+        }
+
+        const comments = [];
+        const byId = new Map();
+        const toNumber = value => (value.trim() === '' ? undefined : Number(value));
+        const toBoolean = value => (value === '' || value === undefined ? undefined : value === 'true');
+
+        rows.forEach((fields, index) => {
+            const rowNumber = index + 2;
+            const row = {};
+            columns.forEach((name, column) => {
+                row[name] = fields[column] === undefined ? '' : this.unescapeCSV(fields[column]);
+            });
+
+            const id = toNumber(row.id);
+            const parentId = toNumber(row.parentId);
+            if (!Number.isInteger(id)) {
+                errors.push(`row ${rowNumber}: id must be a whole number`);
+                return;
+            }
+            if (parentId !== undefined && !byId.has(parentId)) {
+                errors.push(`row ${rowNumber}: parent ${row.parentId} must come earlier in the file`);
+                return;
+            }
+            if (!Utils.isValidUsername(row.username.trim())) {
+                errors.push(`row ${rowNumber}: username may only use letters, digits, "_", "." and "-"`);
+                return;
+            }
+            if (row.replyingTo && !Utils.isValidUsername(row.replyingTo)) {
+                errors.push(`row ${rowNumber}: replyingTo must be a username`);
+                return;
+            }
+
+            const comment = {
+                id,
+                content: row.content,
+                createdAt: row.createdAt,
+                score: toNumber(row.score || '') ?? 0,
+                user: { username: row.username.trim() },
+                replies: []
+            };
+            const optional = {
+                replyingTo: row.replyingTo || undefined,
+                version: toNumber(row.version || ''),
+                pinned: toBoolean(row.pinned),
+                hidden: toBoolean(row.hidden),
+                locked: toBoolean(row.locked)
+            };
+            Object.entries(optional).forEach(([key, value]) => {
+                if (value !== undefined) {
+                    comment[key] = value;
+                }
+            });
+
+            if (parentId === undefined) {
+                comments.push(comment);
+            } else {
+                comment.parentId = parentId;
+                byId.get(parentId).replies.push(comment);
+            }
+            byId.set(id, comment);
+        });
+
+        return { comments, errors };
+    },
+
+    /**
+     * Export the thread as a standalone HTML page (hidden comments show the
+     * placeholder, see getSharedContent)
+     * @param {Object} data - Thread data
+     * @param {Object} options - { title }
+     * @returns {string} HTML document
+     */
+    toHTML(data, options = {}) {
+        const title = options.title || 'Comments';
+        const escape = value => Utils.sanitizeHtml(String(value)).replace(/"/g, '&quot;');
+
+        const renderComment = (comment) => {
+            const body = document.createElement('div');
+            body.className = 'comment__content';
+            if (comment.hidden) {
+                body.appendChild(Utils.createElement('p', { className: 'comment__placeholder' }, this.HIDDEN_PLACEHOLDER));
+            } else {
+                body.appendChild(Formatter.render(comment.content));
+            }
+
+            const replies = (comment.replies || []).map(renderComment).join('');
+            return `
+<article class="comment" id="comment-${comment.id}">
+  <header class="comment__header">
+    <strong>@${escape(comment.user.username)}</strong>
+    <time datetime="${escape(comment.createdAt)}">${escape(new Date(comment.createdAt).toLocaleString())}</time>
+    <span class="comment__score">${comment.score} ${Math.abs(comment.score) === 1 ? 'point' : 'points'}</span>
+  </header>
+  ${body.outerHTML}
+  ${replies ? `<div class="replies">${replies}</div>` : ''}
+</article>`;
+        };
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escape(title)}</title>
+<style>
+  body { margin: 0 auto; max-width: 46rem; padding: 2rem 1rem; font-family: Rubik, system-ui, sans-serif; color: #324152; background: #f5f6fa; }
+  .comment { margin-top: 1rem; padding: 1rem 1.5rem; border-radius: 8px; background: #fff; }
+  .comment__header { display: flex; flex-wrap: wrap; gap: 1rem; align-items: baseline; }
+  .comment__header time, .comment__score { color: #67727e; font-size: 0.875rem; }
+  .comment__content { color: #67727e; line-height: 1.5; }
+  .comment__placeholder { font-style: italic; }
+  .replies { margin-left: 1.5rem; padding-left: 1.5rem; border-left: 2px solid #e9ebf0; }
+  .replies .comment { padding: 0.75rem 0 0; background: none; }
+  blockquote { margin: 0.5rem 0; padding-left: 1rem; border-left: 3px solid #c5c6ef; }
+  pre { overflow-x: auto; padding: 0.75rem; background: #f5f6fa; }
+</style>
+</head>
+<body>
+<h1>${escape(title)}</h1>
+<p>Snapshot taken ${escape(new Date().toLocaleString())}</p>
+${data.comments.map(renderComment).join('')}
+</body>
+</html>
+`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataFormats;
+}
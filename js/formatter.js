@@ -0,0 +1,141 @@
+/**
+ * Markdown-lite formatter for comment bodies
+ *
+ * Supports **bold**, *italic* / _italic_, `inline code`, ``` fenced code
+ * blocks ```, [links](https://example.com) and > block quotes.
+ * Output is built from DOM nodes and text nodes only; user text never goes
+ * through innerHTML, so it cannot inject markup.
+ */
+
+const Formatter = {
+    // Earliest-match wins; code comes first so its contents stay literal
+    INLINE_PATTERN: /`([^`\n]+)`|\[([^\]\n]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)/,
+
+    SAFE_URL_PATTERN: /^(https?:\/\/|mailto:)/i,
+
+    /**
+     * Render comment text into formatted DOM nodes
+     * @param {string} text - Raw comment text
+     * @returns {DocumentFragment} Formatted content
+     */
+    render(text) {
+        const fragment = document.createDocumentFragment();
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (line.trim().startsWith('```')) {
+                const codeLines = [];
+                index++;
+                while (index < lines.length && !lines[index].trim().startsWith('```')) {
+                    codeLines.push(lines[index]);
+                    index++;
+                }
+                index++; // Skip the closing fence (or run off the end if unclosed)
+
+                const code = Utils.createElement('code', {}, codeLines.join('\n'));
+                fragment.appendChild(Utils.createElement('pre', { className: 'format-code' }, code));
+            } else if (line.trim().startsWith('>')) {
+                const quoteLines = [];
+                while (index < lines.length && lines[index].trim().startsWith('>')) {
+                    quoteLines.push(lines[index].trim().replace(/^>\s?/, ''));
+                    index++;
+                }
+
+                const quote = Utils.createElement('blockquote', { className: 'format-quote' });
+                quote.appendChild(this.render(quoteLines.join('\n')));
+                fragment.appendChild(quote);
+            } else if (!line.trim()) {
+                index++;
+            } else {
+                const paragraphLines = [];
+                while (
+                    index < lines.length &&
+                    lines[index].trim() &&
+                    !lines[index].trim().startsWith('```') &&
+                    !lines[index].trim().startsWith('>')
+                ) {
+                    paragraphLines.push(lines[index]);
+                    index++;
+                }
+
+                const paragraph = Utils.createElement('p');
+                paragraphLines.forEach((paragraphLine, lineIndex) => {
+                    if (lineIndex > 0) {
+                        paragraph.appendChild(document.createElement('br'));
+                    }
+                    this.renderInline(paragraphLine, paragraph);
+                });
+                fragment.appendChild(paragraph);
+            }
+        }
+
+        return fragment;
+    },
+
+    /**
+     * Render inline formatting into a parent element
+     * @param {string} text - One line of text
+     * @param {Element} parent - Element to append to
+     */
+    renderInline(text, parent) {
+        let rest = text;
+
+        while (rest) {
+            const match = rest.match(this.INLINE_PATTERN);
+            if (!match) {
+                parent.appendChild(document.createTextNode(rest));
+                return;
+            }
+
+            if (match.index > 0) {
+                parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+            }
+
+            const [whole, code, linkText, linkUrl, bold, italicStar, italicUnderscore] = match;
+
+            if (code !== undefined) {
+                parent.appendChild(Utils.createElement('code', { className: 'format-inline-code' }, code));
+            } else if (linkText !== undefined) {
+                parent.appendChild(this.createLink(linkText, linkUrl));
+            } else if (bold !== undefined) {
+                const strong = document.createElement('strong');
+                this.renderInline(bold, strong);
+                parent.appendChild(strong);
+            } else {
+                const em = document.createElement('em');
+                this.renderInline(italicStar !== undefined ? italicStar : italicUnderscore, em);
+                parent.appendChild(em);
+            }
+
+            rest = rest.slice(match.index + whole.length);
+        }
+    },
+
+    /**
+     * Create a link, or plain text if the URL scheme isn't allowed
+     * @param {string} text - Link text
+     * @param {string} url - Link target
+     * @returns {Node} Anchor element or text node
+     */
+    createLink(text, url) {
+        if (!this.SAFE_URL_PATTERN.test(url)) {
+            return document.createTextNode(`[${text}](${url})`);
+        }
+
+        const link = Utils.createElement('a', {
+            href: url,
+            target: '_blank',
+            rel: 'noopener noreferrer nofollow'
+        });
+        this.renderInline(text, link);
+        return link;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Formatter;
+}
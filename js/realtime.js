@@ -0,0 +1,135 @@
+/**
+ * WebSocket transport for live collaboration on one thread
+ *
+ * Messages are JSON objects with a `type`:
+ *   hello    - { user } announce who this client is (sent again after a user switch)
+ *   presence - { users } everyone online, sent by the relay
+ *   change   - { method, args } a change, in the shape of the remote storage adapter methods
+ *              (createComment, createReply, updateComment, deleteComment, vote, ...)
+ *   typing   - { commentId, active } the sender is (or stopped) writing a reply
+ * Each client stamps its messages with `from: { clientId, username, displayName }`.
+ * See server/realtime-relay.js for a local relay.
+ */
+
+const Realtime = {
+    // Wait this long before each reconnect attempt; the last delay repeats
+    RECONNECT_DELAYS: [1000, 2000, 5000, 10000],
+
+    // Changes made while offline are sent on reconnect, up to this many
+    MAX_QUEUED: 100,
+
+    /**
+     * Create a reconnecting WebSocket transport
+     * @param {string} url - Relay URL, e.g. ws://localhost:3002
+     * @returns {Object} Transport with connect, send, on and close
+     */
+    createTransport(url) {
+        const { RECONNECT_DELAYS, MAX_QUEUED } = this;
+        const handlers = {};
+        const queue = [];
+        let socket = null;
+        let attempts = 0;
+        let closed = false;
+        let reconnectTimer = null;
+
+        const emit = (type, message) => {
+            (handlers[type] || []).forEach(handler => handler(message));
+        };
+
+        const open = () => {
+            socket = new WebSocket(url);
+
+            socket.addEventListener('open', () => {
+                attempts = 0;
+                emit('open');
+                queue.splice(0).forEach(message => socket.send(message));
+            });
+
+            socket.addEventListener('message', (e) => {
+                let message;
+                try {
+                    message = JSON.parse(e.data);
+                } catch (error) {
+                    console.warn('Ignoring malformed realtime message:', error);
+                    return;
+                }
+                if (message && message.type) {
+                    emit(message.type, message);
+                }
+            });
+
+            socket.addEventListener('close', () => {
+                emit('close');
+                if (!closed) {
+                    const delay = RECONNECT_DELAYS[Math.min(attempts, RECONNECT_DELAYS.length - 1)];
+                    attempts++;
+                    reconnectTimer = setTimeout(open, delay);
+                }
+            });
+        };
+
+        return {
+            url,
+
+            /**
+             * Open the connection (reconnects automatically until close())
+             */
+            connect() {
+                closed = false;
+                open();
+            },
+
+            /**
+             * Whether the socket is open right now
+             * @returns {boolean} True when connected
+             */
+            isConnected() {
+                return !!socket && socket.readyState === WebSocket.OPEN;
+            },
+
+            /**
+             * Send a message
+             * @param {string} type - Message type
+             * @param {Object} payload - Message fields
+             * @param {Object} options - { queue: true } to keep it for reconnect when offline
+             * @returns {boolean} True if sent now
+             */
+            send(type, payload = {}, options = {}) {
+                const message = JSON.stringify({ ...payload, type });
+                if (this.isConnected()) {
+                    socket.send(message);
+                    return true;
+                }
+                if (options.queue && queue.length < MAX_QUEUED) {
+                    queue.push(message);
+                }
+                return false;
+            },
+
+            /**
+             * Listen for a message type, or 'open' / 'close'
+             * @param {string} type - Message type
+             * @param {Function} handler - Called with the message
+             */
+            on(type, handler) {
+                (handlers[type] = handlers[type] || []).push(handler);
+            },
+
+            /**
+             * Close the connection for good
+             */
+            close() {
+                closed = true;
+                clearTimeout(reconnectTimer);
+                if (socket) {
+                    socket.close();
+                }
+            }
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Realtime;
+}
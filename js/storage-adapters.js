@@ -0,0 +1,264 @@
+/**
+ * Storage backends for the Interactive Comments Section
+ *
+ * Every adapter implements the same async interface so `Storage` can sit on
+ * top of any of them:
+ *   name             - Short identifier used in logs and storage info
+ *   load()           - Resolve to the stored data object, or null if none
+ *   save(data)       - Persist the data object
+ *   clear()          - Remove the stored data
+ *   getSize()        - Resolve to the approximate stored size in bytes
+ *   loadRaw()        - Optional: resolve to the stored text as-is, so data that
+ *                      no longer parses can still be backed up
+ *
+ * Remote adapters (`remote: true`) also sync each change as it happens:
+ *   createComment(comment), createReply(parentId, reply),
+ *   updateComment(commentId, content), deleteComment(commentId),
+ *   vote(commentId, username, value),
+ *   moderateComment(commentId, changes), reportComment(commentId, report)
+ * Each rejects when the server refuses the change so the app can roll back.
+ */
+
+const StorageAdapters = {
+    DEFAULT_KEY: 'interactive-comments-data',
+
+    /**
+     * Create an adapter backed by window.localStorage
+     * @param {string} key - localStorage key
+     * @returns {Object} Storage adapter
+     */
+    createLocalStorageAdapter(key = this.DEFAULT_KEY) {
+        return {
+            name: 'localStorage',
+            key,
+
+            async load() {
+                const stored = localStorage.getItem(key);
+                return stored ? JSON.parse(stored) : null;
+            },
+
+            async loadRaw() {
+                return localStorage.getItem(key);
+            },
+
+            async save(data) {
+                localStorage.setItem(key, JSON.stringify(data));
+                localStorage.setItem(key + '_timestamp', new Date().toISOString());
+            },
+
+            async clear() {
+                localStorage.removeItem(key);
+                localStorage.removeItem(key + '_timestamp');
+            },
+
+            async getSize() {
+                const stored = localStorage.getItem(key);
+                return stored ? new Blob([stored]).size : 0;
+            }
+        };
+    },
+
+    /**
+     * Create an adapter backed by IndexedDB, for threads too large for localStorage
+     * @param {string} key - Record key inside the object store
+     * @param {string} dbName - IndexedDB database name
+     * @returns {Object} Storage adapter
+     */
+    createIndexedDBAdapter(key = this.DEFAULT_KEY, dbName = 'interactive-comments') {
+        const STORE_NAME = 'threads';
+        let dbPromise = null;
+
+        const openDatabase = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const request = indexedDB.open(dbName, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(STORE_NAME);
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return dbPromise;
+        };
+
+        const run = async (mode, operation) => {
+            const db = await openDatabase();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction(STORE_NAME, mode);
+                const request = operation(transaction.objectStore(STORE_NAME));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        };
+
+        return {
+            name: 'indexedDB',
+            key,
+
+            async load() {
+                const data = await run('readonly', store => store.get(key));
+                return data || null;
+            },
+
+            async save(data) {
+                await run('readwrite', store => store.put(data, key));
+            },
+
+            async clear() {
+                await run('readwrite', store => store.delete(key));
+            },
+
+            async getSize() {
+                const data = await this.load();
+                return data ? new Blob([JSON.stringify(data)]).size : 0;
+            }
+        };
+    },
+
+    /**
+     * Create an in-memory adapter (nothing persists; useful for tests)
+     * @param {Object|null} initialData - Data to start with
+     * @returns {Object} Storage adapter
+     */
+    createMemoryAdapter(initialData = null) {
+        // Keep a serialized copy so callers can't mutate stored state by reference
+        let stored = initialData ? JSON.stringify(initialData) : null;
+
+        return {
+            name: 'memory',
+
+            async load() {
+                return stored ? JSON.parse(stored) : null;
+            },
+
+            async loadRaw() {
+                return stored;
+            },
+
+            async save(data) {
+                stored = JSON.stringify(data);
+            },
+
+            async clear() {
+                stored = null;
+            },
+
+            async getSize() {
+                return stored ? new Blob([stored]).size : 0;
+            }
+        };
+    },
+
+    /**
+     * Create an adapter that talks to a comments REST API
+     * (see server/mock-server.js for the endpoints it expects)
+     * @param {string} baseUrl - API base URL, e.g. http://localhost:3001/api
+     * @returns {Object} Storage adapter
+     */
+    createRestAdapter(baseUrl) {
+        const root = baseUrl.replace(/\/+$/, '');
+
+        const request = async (method, path, body) => {
+            const response = await fetch(root + path, {
+                method,
+                headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`${method} ${path} failed with ${response.status}`);
+            }
+            return response.status === 204 ? null : response.json();
+        };
+
+        return {
+            name: 'rest',
+            remote: true,
+            baseUrl: root,
+
+            async load() {
+                return request('GET', '/thread');
+            },
+
+            async save(data) {
+                await request('PUT', '/thread', data);
+            },
+
+            async clear() {
+                await request('DELETE', '/thread');
+            },
+
+            async getSize() {
+                const data = await this.load();
+                return data ? new Blob([JSON.stringify(data)]).size : 0;
+            },
+
+            createComment(comment) {
+                return request('POST', '/comments', comment);
+            },
+
+            createReply(parentId, reply) {
+                return request('POST', `/comments/${parentId}/replies`, reply);
+            },
+
+            updateComment(commentId, content) {
+                return request('PATCH', `/comments/${commentId}`, { content });
+            },
+
+            deleteComment(commentId) {
+                return request('DELETE', `/comments/${commentId}`);
+            },
+
+            vote(commentId, username, value) {
+                return request('POST', `/comments/${commentId}/vote`, { username, value });
+            },
+
+            moderateComment(commentId, changes) {
+                return request('PATCH', `/comments/${commentId}`, changes);
+            },
+
+            reportComment(commentId, report) {
+                return request('POST', `/comments/${commentId}/reports`, report);
+            }
+        };
+    },
+
+    /**
+     * Resolve an adapter from a name or pass an adapter object through
+     * @param {string|Object} adapter - 'localStorage', 'indexedDB', 'memory', 'rest' or an adapter
+     * @param {string} key - Storage key for the built-in persistent adapters
+     * @param {Object} options - Extra settings (apiBaseUrl for 'rest')
+     * @returns {Object} Storage adapter
+     */
+    resolve(adapter = 'localStorage', key = this.DEFAULT_KEY, options = {}) {
+        if (adapter && typeof adapter === 'object') {
+            return adapter;
+        }
+
+        switch (adapter) {
+            case 'indexedDB':
+                if (typeof indexedDB !== 'undefined') {
+                    return this.createIndexedDBAdapter(key);
+                }
+                console.warn('IndexedDB is not available, falling back to localStorage');
+                return this.createLocalStorageAdapter(key);
+            case 'memory':
+                return this.createMemoryAdapter();
+            case 'rest':
+                if (!options.apiBaseUrl) {
+                    throw new Error('The rest storage adapter needs an apiBaseUrl');
+                }
+                return this.createRestAdapter(options.apiBaseUrl);
+            case 'localStorage':
+                return this.createLocalStorageAdapter(key);
+            default:
+                throw new Error(`Unknown storage adapter: ${adapter}`);
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageAdapters;
+}
@@ -1,26 +1,102 @@
 /**
- * Local Storage Manager for the Interactive Comments Section
+ * Storage Manager for the Interactive Comments Section
+ *
+ * Validation, normalization, export and import live here; reading and
+ * writing is delegated to the active adapter from storage-adapters.js.
+ *
+ * Stored data carries a `schemaVersion`. Data from an older version is run
+ * through `MIGRATIONS` on load and import; data that still fails validation
+ * is copied to the quarantine (see `quarantineData`) rather than thrown away.
  */
 
 const Storage = {
-    STORAGE_KEY: 'interactive-comments-data',
+    STORAGE_KEY: StorageAdapters.DEFAULT_KEY,
+
+    // Bump when the stored shape changes, and add a migration from the previous version
+    SCHEMA_VERSION: 2,
+
+    // Keep this many quarantined copies; the oldest is dropped first
+    QUARANTINE_LIMIT: 5,
+
+    // Set when stored data was rejected but couldn't be set aside; saving is refused until clearData()
+    loadError: null,
+
+    // Comment fields an import may change on a comment that is already here
+    MERGE_FIELDS: ['content', 'score', 'votes', 'revisions', 'reports', 'mentions', 'pinned', 'hidden', 'locked'],
+    // CSV has no votes, so a score from it could never be squared with the votes here
+    CSV_MERGE_FIELDS: ['content', 'pinned', 'hidden', 'locked'],
+
+    // Dates as written in data.json, e.g. "2 weeks ago"
+    RELATIVE_DATE_PATTERN: /^\d+\s+(minute|hour|day|week|month)s?\s+ago$/i,
 
     /**
-     * Get data from localStorage or return initial data
-     * @returns {Object} Comments data
+     * Migrations keyed by the version they upgrade from. Each takes data at
+     * that version and returns it at the next one. Data saved before
+     * versioning has no schemaVersion and counts as version 1.
      */
-    getData() {
-        try {
-            const stored = localStorage.getItem(this.STORAGE_KEY);
-            if (stored) {
-                const data = JSON.parse(stored);
-                // Validate data structure
-                if (this.validateData(data)) {
-                    return data;
-                }
+    MIGRATIONS: {
+        // 1 -> 2: data.json style relative dates ("2 weeks ago") become ISO timestamps
+        1(data) {
+            const convertDates = (comments) => {
+                comments.forEach(comment => {
+                    if (comment && typeof comment.createdAt === 'string' && this.RELATIVE_DATE_PATTERN.test(comment.createdAt)) {
+                        comment.createdAt = this.convertToISODate(comment.createdAt);
+                    }
+                    if (comment && Array.isArray(comment.replies)) {
+                        convertDates(comment.replies);
+                    }
+                });
+            };
+            if (Array.isArray(data.comments)) {
+                convertDates(data.comments);
             }
+            return data;
+        }
+    },
+
+    // Active backend; see storage-adapters.js for the interface
+    adapter: StorageAdapters.createLocalStorageAdapter(StorageAdapters.DEFAULT_KEY),
+
+    /**
+     * Create a Storage bound to a different backend
+     * @param {Object} adapter - Storage adapter
+     * @param {string} key - Namespace for drafts, views and quarantine when the adapter has no key
+     * @returns {Object} Storage object using that adapter
+     */
+    withAdapter(adapter, key = this.STORAGE_KEY) {
+        const storage = Object.create(this);
+        storage.adapter = adapter;
+        storage.STORAGE_KEY = key;
+        return storage;
+    },
+
+    /**
+     * Get data from the active adapter or return initial data. Stored data
+     * that can't be migrated or validated is quarantined first.
+     * @returns {Promise<Object>} Comments data
+     */
+    async getData() {
+        let stored;
+        try {
+            stored = await this.adapter.load();
         } catch (error) {
-            console.warn('Error reading from localStorage:', error);
+            console.warn(`Error reading from ${this.adapter.name}:`, error);
+            // Unreadable (e.g. truncated JSON): keep the raw text if the adapter can give it
+            if (this.adapter.loadRaw &&
+                !(await this.moveToQuarantine(await this.adapter.loadRaw(), [`could not be read: ${error.message}`]))) {
+                throw new Error(this.loadError);
+            }
+            return this.getInitialData();
+        }
+
+        if (stored) {
+            const { data, errors } = this.parseData(stored);
+            if (data) {
+                return data;
+            }
+            if (!(await this.moveToQuarantine(stored, errors))) {
+                throw new Error(this.loadError);
+            }
         }
 
         // Return initial data if no valid stored data
@@ -28,20 +104,109 @@ const Storage = {
     },
 
     /**
-     * Save data to localStorage
+     * Quarantine stored data and, once the copy is safe, remove it from the
+     * adapter so it isn't quarantined again on every load. When the data
+     * can't be set aside, loadError is set and saving stays off, so the
+     * stored copy isn't overwritten by a fresh thread.
+     * @param {Object|string} data - The rejected data
+     * @param {Array} errors - Why it was rejected
+     * @returns {Promise<boolean>} True if the stored copy may be replaced
+     */
+    async moveToQuarantine(data, errors) {
+        if (!this.quarantineData(data, errors)) {
+            this.loadError = 'Saved comments could not be loaded, and there was no room to keep a backup copy. ' +
+                'Nothing will be saved until they are dealt with: free up browser storage and reload, ' +
+                'or discard them with devTools.resetData().';
+            return false;
+        }
+
+        // A server's copy is shared with others; leave it for whoever runs the server
+        if (this.adapter.remote) {
+            this.loadError = 'The comments on the server could not be loaded. Nothing will be saved until they are fixed there ' +
+                '(a copy was kept, see devTools.getQuarantine()).';
+            return false;
+        }
+
+        try {
+            await this.adapter.clear();
+        } catch (error) {
+            console.warn(`Could not remove quarantined data from ${this.adapter.name}:`, error);
+        }
+        return true;
+    },
+
+    /**
+     * Migrate, validate and normalize data from storage, an import or another tab
+     * @param {Object} data - Data in any known schema version (mutated)
+     * @returns {Object} { data, errors } - data is null when errors is not empty
+     */
+    parseData(data) {
+        let migrated;
+        try {
+            migrated = this.migrateData(data);
+        } catch (error) {
+            return { data: null, errors: [error.message] };
+        }
+
+        const errors = this.findDataErrors(migrated);
+        if (errors.length > 0) {
+            return { data: null, errors };
+        }
+        return { data: this.normalizeData(migrated), errors };
+    },
+
+    /**
+     * Run the migrations needed to bring data up to SCHEMA_VERSION
+     * @param {Object} data - Data at any earlier version (mutated)
+     * @returns {Object} Data at SCHEMA_VERSION
+     * @throws {Error} If the data is from a newer version or a migration is missing
+     */
+    migrateData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('data must be an object');
+        }
+
+        let version = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`schemaVersion must be a positive integer (got ${JSON.stringify(data.schemaVersion)})`);
+        }
+        if (version > this.SCHEMA_VERSION) {
+            throw new Error(`schemaVersion ${version} is newer than this app understands (${this.SCHEMA_VERSION})`);
+        }
+
+        while (version < this.SCHEMA_VERSION) {
+            const migrate = this.MIGRATIONS[version];
+            if (!migrate) {
+                throw new Error(`No migration from schemaVersion ${version}`);
+            }
+            data = migrate.call(this, data);
+            version++;
+            data.schemaVersion = version;
+        }
+        return data;
+    },
+
+    /**
+     * Save data to the active adapter
      * @param {Object} data - Data to save
+     * @returns {Promise<boolean>} Success status
      */
-    saveData(data) {
+    async saveData(data) {
+        if (this.loadError) {
+            console.error(`Stored data could not be loaded, not saving to ${this.adapter.name}`);
+            return false;
+        }
+
         try {
             if (this.validateData(data)) {
-                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+                await this.adapter.save(data);
                 return true;
             } else {
-                console.error('Invalid data structure, not saving to localStorage');
+                console.error(`Invalid data structure, not saving to ${this.adapter.name}`);
                 return false;
             }
         } catch (error) {
-            console.error('Error saving to localStorage:', error);
+            console.error(`Error saving to ${this.adapter.name}:`, error);
             Utils.showNotification('Failed to save data locally', 'error');
             return false;
         }
@@ -53,14 +218,562 @@ const Storage = {
      * @returns {boolean} True if valid
      */
     validateData(data) {
-        return (
-            data &&
-            typeof data === 'object' &&
-            data.currentUser &&
-            typeof data.currentUser === 'object' &&
-            data.currentUser.username &&
-            Array.isArray(data.comments)
+        return this.findDataErrors(data).length === 0;
+    },
+
+    /**
+     * Check data field by field. Fields that normalizeData fills in may be
+     * missing, but if present they must have the right type.
+     * @param {Object} data - Data at SCHEMA_VERSION
+     * @returns {Array} Problems, e.g. "comments[1].replies[0].content must be a string"
+     */
+    findDataErrors(data) {
+        const errors = [];
+        const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+        const isNonEmptyString = value => typeof value === 'string' && value.length > 0;
+
+        if (!isObject(data)) {
+            return ['data must be an object'];
+        }
+
+        if (data.schemaVersion !== this.SCHEMA_VERSION) {
+            errors.push(`schemaVersion must be ${this.SCHEMA_VERSION}`);
+        }
+        // Usernames and avatars end up in the page, so only plain ones are accepted
+        const checkUser = (user, at) => {
+            if (!isObject(user) || !isNonEmptyString(user.username)) {
+                errors.push(`${at}.username must be a non-empty string`);
+                return;
+            }
+            if (!Utils.isValidUsername(user.username)) {
+                errors.push(`${at}.username may only use letters, digits, "_", "." and "-"`);
+            }
+            if (user.image !== undefined) {
+                if (!isObject(user.image)) {
+                    errors.push(`${at}.image must be an object`);
+                } else {
+                    ['png', 'webp'].forEach(format => {
+                        if (user.image[format] !== undefined && !Utils.isSafeImageUrl(user.image[format])) {
+                            errors.push(`${at}.image.${format} must be an http(s) or relative URL`);
+                        }
+                    });
+                }
+            }
+        };
+
+        if (!isObject(data.currentUser)) {
+            errors.push('currentUser must be an object');
+        } else {
+            checkUser(data.currentUser, 'currentUser');
+        }
+
+        if (data.users !== undefined) {
+            if (!Array.isArray(data.users)) {
+                errors.push('users must be an array');
+            } else {
+                data.users.forEach((user, index) => checkUser(user, `users[${index}]`));
+            }
+        }
+        if (data.auditLog !== undefined && !Array.isArray(data.auditLog)) {
+            errors.push('auditLog must be an array');
+        }
+        if (data.deleted !== undefined && !isObject(data.deleted)) {
+            errors.push('deleted must be an object');
+        }
+
+        if (!Array.isArray(data.comments)) {
+            errors.push('comments must be an array');
+            return errors;
+        }
+
+        const seenIds = new Set();
+        const checkComments = (comments, path, parentId) => {
+            comments.forEach((comment, index) => {
+                const at = `${path}[${index}]`;
+                if (!isObject(comment)) {
+                    errors.push(`${at} must be an object`);
+                    return;
+                }
+
+                if (!Number.isInteger(comment.id)) {
+                    errors.push(`${at}.id must be an integer`);
+                } else if (seenIds.has(comment.id)) {
+                    errors.push(`${at}.id ${comment.id} is used by another comment`);
+                } else {
+                    seenIds.add(comment.id);
+                }
+                if (typeof comment.content !== 'string') {
+                    errors.push(`${at}.content must be a string`);
+                }
+                if (typeof comment.createdAt !== 'string' || Number.isNaN(Date.parse(comment.createdAt))) {
+                    errors.push(`${at}.createdAt must be a date string`);
+                }
+                checkUser(comment.user, `${at}.user`);
+
+                if (comment.score !== undefined && !Number.isFinite(comment.score)) {
+                    errors.push(`${at}.score must be a number`);
+                }
+                if (comment.version !== undefined && !Number.isInteger(comment.version)) {
+                    errors.push(`${at}.version must be an integer`);
+                }
+                if (comment.updatedAt !== undefined && (typeof comment.updatedAt !== 'string' || Number.isNaN(Date.parse(comment.updatedAt)))) {
+                    errors.push(`${at}.updatedAt must be a date string`);
+                }
+                if (comment.updatedBy !== undefined && !Number.isFinite(comment.updatedBy)) {
+                    errors.push(`${at}.updatedBy must be a number`);
+                }
+                if (comment.replyingTo !== undefined && !Utils.isValidUsername(comment.replyingTo)) {
+                    errors.push(`${at}.replyingTo must be a username`);
+                }
+                if (comment.parentId !== undefined && comment.parentId !== parentId) {
+                    errors.push(`${at}.parentId should be ${parentId}`);
+                }
+                if (comment.votes !== undefined) {
+                    if (!isObject(comment.votes)) {
+                        errors.push(`${at}.votes must be an object`);
+                    } else if (Object.values(comment.votes).some(vote => vote !== 1 && vote !== -1)) {
+                        errors.push(`${at}.votes values must be 1 or -1`);
+                    }
+                }
+                ['revisions', 'reports', 'mentions'].forEach(field => {
+                    if (comment[field] !== undefined && !Array.isArray(comment[field])) {
+                        errors.push(`${at}.${field} must be an array`);
+                    }
+                });
+                ['pinned', 'hidden', 'locked'].forEach(flag => {
+                    if (comment[flag] !== undefined && typeof comment[flag] !== 'boolean') {
+                        errors.push(`${at}.${flag} must be true or false`);
+                    }
+                });
+
+                if (comment.replies !== undefined) {
+                    if (!Array.isArray(comment.replies)) {
+                        errors.push(`${at}.replies must be an array`);
+                    } else {
+                        checkComments(comment.replies, `${at}.replies`, Number.isInteger(comment.id) ? comment.id : null);
+                    }
+                }
+            });
+        };
+        checkComments(data.comments, 'comments', null);
+
+        return errors;
+    },
+
+    /**
+     * Keep a copy of data that failed to load so it can be inspected or fixed
+     * by hand. Copies live in localStorage whatever adapter holds the thread.
+     * @param {Object|string} data - The rejected data (raw text if it didn't parse)
+     * @param {Array} errors - Why it was rejected
+     * @returns {boolean} True if the copy was kept
+     */
+    quarantineData(data, errors = []) {
+        console.error(`Invalid data in ${this.adapter.name}, moved to quarantine:`, errors);
+        try {
+            const entries = this.getQuarantine();
+            entries.push({
+                quarantinedAt: new Date().toISOString(),
+                adapter: this.adapter.name,
+                errors,
+                data
+            });
+            localStorage.setItem(
+                `${this.adapter.key || this.STORAGE_KEY}-quarantine`,
+                JSON.stringify(entries.slice(-this.QUARANTINE_LIMIT))
+            );
+            Utils.showNotification('Saved comments could not be loaded. A backup copy was kept (see devTools.getQuarantine()).', 'error');
+            return true;
+        } catch (error) {
+            console.error('Could not quarantine invalid data:', error);
+            Utils.showNotification('Saved comments could not be loaded', 'error');
+            return false;
+        }
+    },
+
+    /**
+     * Quarantined copies, oldest first
+     * @returns {Array} Entries ({ quarantinedAt, adapter, errors, data })
+     */
+    getQuarantine() {
+        try {
+            const stored = localStorage.getItem(`${this.adapter.key || this.STORAGE_KEY}-quarantine`);
+            const entries = stored ? JSON.parse(stored) : [];
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Error reading quarantined data:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Delete all quarantined copies
+     */
+    clearQuarantine() {
+        try {
+            localStorage.removeItem(`${this.adapter.key || this.STORAGE_KEY}-quarantine`);
+        } catch (error) {
+            console.warn('Error clearing quarantined data:', error);
+        }
+    },
+
+    /**
+     * Fill in fields that older payloads don't have
+     * @param {Object} data - Data to normalize (mutated in place)
+     * @returns {Object} Normalized data
+     */
+    normalizeData(data) {
+        const usernames = new Set([data.currentUser.username]);
+        const authors = new Map();
+        const collectUsernames = (comments) => {
+            comments.forEach(comment => {
+                if (comment.user && comment.user.username) {
+                    usernames.add(comment.user.username);
+                    if (!authors.has(comment.user.username)) {
+                        authors.set(comment.user.username, comment.user);
+                    }
+                }
+                collectUsernames(comment.replies || []);
+            });
+        };
+        collectUsernames(data.comments);
+
+        // User registry: older payloads only know currentUser and comment authors
+        if (!Array.isArray(data.users)) {
+            data.users = [];
+        }
+        const registered = new Set(data.users.map(user => user.username));
+        [data.currentUser, ...authors.values()].forEach(user => {
+            if (!registered.has(user.username)) {
+                data.users.push(this.createUserRecord(user));
+                registered.add(user.username);
+            }
+        });
+        data.users = data.users.map(user => this.createUserRecord(user));
+        data.currentUser = data.users.find(user => user.username === data.currentUser.username);
+        data.users.forEach(user => usernames.add(user.username));
+
+        const registryImages = new Map(data.users.map(user => [user.username, user.image]));
+        const normalizeComments = (comments, parentId = null) => {
+            comments.forEach(comment => {
+                // Imported rows (e.g. from CSV) only name the author
+                if (comment.user && !comment.user.image) {
+                    comment.user.image = registryImages.get(comment.user.username);
+                }
+                // Payloads saved before per-user voting only carry a bare score
+                if (!comment.votes || typeof comment.votes !== 'object') {
+                    comment.votes = {};
+                }
+                if (typeof comment.score !== 'number') {
+                    comment.score = 0;
+                }
+                if (!Array.isArray(comment.revisions)) {
+                    comment.revisions = [];
+                }
+                if (!Array.isArray(comment.reports)) {
+                    comment.reports = [];
+                }
+                // Bumped on every change so tabs can merge comment by comment
+                if (typeof comment.version !== 'number') {
+                    comment.version = 1;
+                }
+                if (!Array.isArray(comment.mentions)) {
+                    comment.mentions = Utils.extractMentions(comment.content, [...usernames]);
+                    if (comment.replyingTo && !comment.mentions.includes(comment.replyingTo)) {
+                        comment.mentions.unshift(comment.replyingTo);
+                    }
+                }
+                // Two-level payloads keep replies under the top-level comment
+                // without a parentId; record that parent so the tree is explicit.
+                // Top-level comments carry none, so drop an exported parentId: null
+                if (parentId !== null && comment.parentId === undefined) {
+                    comment.parentId = parentId;
+                } else if (parentId === null) {
+                    delete comment.parentId;
+                }
+                if (!Array.isArray(comment.replies)) {
+                    comment.replies = [];
+                }
+                normalizeComments(comment.replies, comment.id);
+            });
+        };
+
+        normalizeComments(data.comments);
+
+        if (!Array.isArray(data.auditLog)) {
+            data.auditLog = [];
+        }
+        // Tombstones: deleted comment id -> its version when deleted
+        if (!data.deleted || typeof data.deleted !== 'object') {
+            data.deleted = {};
+        }
+        return data;
+    },
+
+    /**
+     * Merge another copy of the thread (e.g. from another tab) into local data.
+     * Each comment is compared by id and version and the higher version wins.
+     * Two tabs can edit a comment at the same time and reach the same version;
+     * then the later updatedAt wins, then the higher updatedBy (tab id), so
+     * every tab picks the same copy. Comments only one side has are kept
+     * unless the other side deleted them.
+     * Local data is updated in place so references to its comments stay valid.
+     * @param {Object} local - Data to merge into (mutated)
+     * @param {Object} remote - Normalized data to merge from
+     * @returns {Object} { added, updated, removed } comment ids that changed locally
+     */
+    mergeThread(local, remote) {
+        const changes = { added: [], updated: [], removed: [] };
+
+        const index = (comments, parentId = null, map = new Map()) => {
+            comments.forEach(comment => {
+                map.set(comment.id, { comment, parentId });
+                index(comment.replies || [], comment.id, map);
+            });
+            return map;
+        };
+        const localComments = index(local.comments);
+        const remoteComments = index(remote.comments);
+
+        const isNewer = (comment, existing) => {
+            if (comment.version !== existing.version) {
+                return comment.version > existing.version;
+            }
+            const updatedAt = comment.updatedAt || '';
+            const existingUpdatedAt = existing.updatedAt || '';
+            if (updatedAt !== existingUpdatedAt) {
+                return updatedAt > existingUpdatedAt;
+            }
+            return (comment.updatedBy || 0) > (existing.updatedBy || 0);
+        };
+
+        // Union of tombstones, keeping the latest deletion of each comment
+        const deleted = { ...local.deleted };
+        Object.entries(remote.deleted || {}).forEach(([id, version]) => {
+            deleted[id] = Math.max(deleted[id] || 0, version);
+        });
+
+        // Remote comments come parents-first, so a new reply's parent is already in place
+        remoteComments.forEach(({ comment, parentId }, id) => {
+            const existing = localComments.get(id);
+            if (existing) {
+                if (isNewer(comment, existing.comment)) {
+                    const { replies, ...fields } = comment;
+                    Object.assign(existing.comment, fields);
+                    changes.updated.push(id);
+                }
+                return;
+            }
+
+            if (deleted[id] !== undefined && deleted[id] >= comment.version) {
+                return;
+            }
+
+            const parent = parentId === null ? null : localComments.get(parentId);
+            if (parentId !== null && !parent) {
+                return;
+            }
+
+            const copy = { ...comment, replies: [] };
+            (parent ? parent.comment.replies : local.comments).push(copy);
+            localComments.set(id, { comment: copy, parentId });
+            changes.added.push(id);
+        });
+
+        // Drop local comments the other side has deleted since
+        localComments.forEach(({ comment, parentId }, id) => {
+            if (remoteComments.has(id) || deleted[id] === undefined || deleted[id] < comment.version) {
+                return;
+            }
+            const siblings = parentId === null ? local.comments : localComments.get(parentId).comment.replies;
+            const position = siblings.indexOf(comment);
+            if (position !== -1) {
+                siblings.splice(position, 1);
+                changes.removed.push(id);
+            }
+        });
+
+        local.deleted = deleted;
+
+        // Registry and audit log only ever grow
+        (remote.users || []).forEach(user => {
+            if (!local.users.some(entry => entry.username === user.username)) {
+                local.users.push(user);
+            }
+        });
+        const loggedIds = new Set(local.auditLog.map(entry => entry.id));
+        (remote.auditLog || []).forEach(entry => {
+            if (!loggedIds.has(entry.id)) {
+                local.auditLog.push(entry);
+            }
+        });
+        local.auditLog.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+        return changes;
+    },
+
+    /**
+     * Read an import file into thread data
+     * @param {string} text - File contents
+     * @param {string} format - 'json' or 'csv'
+     * @param {Object} current - Current data; CSV files only carry comments,
+     *   so they keep its currentUser, users and auditLog
+     * @returns {Object} { data, errors, fields } - fields are the comment fields
+     *   the format carries, for planMerge
+     */
+    parseImport(text, format, current) {
+        let raw;
+        try {
+            if (format === 'csv') {
+                const { comments, errors } = DataFormats.fromCSV(text);
+                if (errors.length > 0) {
+                    return { data: null, errors, fields: [] };
+                }
+                raw = {
+                    schemaVersion: this.SCHEMA_VERSION,
+                    currentUser: { ...current.currentUser },
+                    users: current.users.map(user => ({ ...user })),
+                    auditLog: [...(current.auditLog || [])],
+                    comments
+                };
+            } else {
+                raw = JSON.parse(text);
+            }
+        } catch (error) {
+            return { data: null, errors: [`Could not read the file: ${error.message}`], fields: [] };
+        }
+
+        const fields = format === 'csv' ? this.CSV_MERGE_FIELDS : this.MERGE_FIELDS;
+        return { ...this.parseData(raw), fields };
+    },
+
+    /**
+     * Work out what merging imported data into local data would do, without
+     * changing anything. A comment with the same author and createdAt as one
+     * here is the same comment (even if an earlier import gave it a new id):
+     * it is updated when the import differs and is not an older version. Any
+     * other comment is added; if its id is taken (or was deleted here) it gets
+     * a new id and its replies follow it.
+     * @param {Object} local - Current data
+     * @param {Object} incoming - Normalized data to import
+     * @param {Array} fields - Comment fields the import may change
+     * @returns {Object} { added: [{ comment, parentId, originalId }],
+     *   updated: [{ comment, changes }], remapped: [{ from, to }], unchanged, users }
+     */
+    planMerge(local, incoming, fields = this.MERGE_FIELDS) {
+        const plan = { added: [], updated: [], remapped: [], unchanged: 0, users: [] };
+        const localComments = new Map(
+            DataFormats.flattenComments(local.comments).map(({ comment }) => [comment.id, comment])
+        );
+        const identity = comment => `${comment.user.username}|${comment.createdAt}`;
+        const localByIdentity = new Map([...localComments.values()].map(comment => [identity(comment), comment]));
+        const incomingEntries = DataFormats.flattenComments(incoming.comments);
+        const usedIds = new Set([
+            ...localComments.keys(),
+            ...Object.keys(local.deleted || {}).map(Number),
+            ...incomingEntries.map(({ comment }) => comment.id)
+        ]);
+        const takeFreeId = () => {
+            let id = Utils.generateId();
+            while (usedIds.has(id)) id++;
+            usedIds.add(id);
+            return id;
+        };
+
+        // Incoming id -> id in the merged thread
+        const idMap = new Map();
+
+        incomingEntries.forEach(({ comment, parentId }) => {
+            const existing = localComments.get(comment.id);
+            const match = localByIdentity.get(identity(comment));
+
+            if (match) {
+                idMap.set(comment.id, match.id);
+                const changes = {};
+                fields.forEach(field => {
+                    // Shared exports carry a placeholder instead of hidden text; keep the text here
+                    if (field === 'content' && comment.hidden && comment.content === DataFormats.HIDDEN_PLACEHOLDER) return;
+                    if (JSON.stringify(comment[field]) !== JSON.stringify(match[field])) {
+                        changes[field] = comment[field];
+                    }
+                });
+                if (Object.keys(changes).length > 0 && (comment.version || 1) >= (match.version || 1)) {
+                    plan.updated.push({ comment: match, changes });
+                } else {
+                    plan.unchanged++;
+                }
+                return;
+            }
+
+            let id = comment.id;
+            if (existing || (local.deleted || {})[id] !== undefined) {
+                id = takeFreeId();
+                plan.remapped.push({ from: comment.id, to: id });
+            }
+            idMap.set(comment.id, id);
+
+            const newParentId = parentId === null ? null : idMap.get(parentId);
+            const copy = { ...comment, id, replies: [] };
+            delete copy.parentId;
+            if (newParentId !== null) {
+                copy.parentId = newParentId;
+            }
+            plan.added.push({ comment: copy, parentId: newParentId, originalId: comment.id });
+        });
+
+        const knownUsers = new Set(local.users.map(user => user.username));
+        plan.users = (incoming.users || []).filter(user => !knownUsers.has(user.username));
+
+        return plan;
+    },
+
+    /**
+     * Apply a plan from planMerge to local data
+     * @param {Object} local - Data to merge into (mutated)
+     * @param {Object} plan - Plan from planMerge against the same data
+     * @returns {Object} { added, updated, removed } comment ids, as from mergeThread
+     */
+    applyMerge(local, plan) {
+        const changes = { added: [], updated: [], removed: [] };
+        const comments = new Map(
+            DataFormats.flattenComments(local.comments).map(({ comment }) => [comment.id, comment])
         );
+
+        plan.updated.forEach(({ comment, changes: fields }) => {
+            Object.assign(comment, fields);
+            changes.updated.push(comment.id);
+        });
+
+        // Parents come before their replies in the plan
+        plan.added.forEach(({ comment, parentId }) => {
+            const copy = { ...comment, replies: [] };
+            const parent = parentId === null ? null : comments.get(parentId);
+            if (parentId !== null && !parent) return;
+
+            (parent ? parent.replies : local.comments).push(copy);
+            comments.set(copy.id, copy);
+            changes.added.push(copy.id);
+        });
+
+        plan.users.forEach(user => local.users.push(user));
+
+        return changes;
+    },
+
+    /**
+     * Fill in the registry fields a user record needs
+     * @param {Object} user - Partial user ({ username, image } at least)
+     * @returns {Object} User record
+     */
+    createUserRecord(user) {
+        return {
+            username: user.username,
+            displayName: user.displayName || user.username,
+            role: user.role || 'member',
+            image: user.image || {
+                png: './images/avatars/image-juliusomo.png',
+                webp: './images/avatars/image-juliusomo.webp'
+            }
+        };
     },
 
     /**
@@ -69,7 +782,8 @@ const Storage = {
      */
     getInitialData() {
         // Fallback data structure
-        return {
+        return this.normalizeData({
+            schemaVersion: this.SCHEMA_VERSION,
             currentUser: {
                 image: {
                     png: "./images/avatars/image-juliusomo.png",
@@ -77,6 +791,44 @@ const Storage = {
                 },
                 username: "juliusomo"
             },
+            users: [
+                {
+                    username: "amyrobson",
+                    displayName: "Amy Robson",
+                    role: "moderator",
+                    image: {
+                        png: "./images/avatars/image-amyrobson.png",
+                        webp: "./images/avatars/image-amyrobson.webp"
+                    }
+                },
+                {
+                    username: "maxblagun",
+                    displayName: "Max Blagun",
+                    role: "member",
+                    image: {
+                        png: "./images/avatars/image-maxblagun.png",
+                        webp: "./images/avatars/image-maxblagun.webp"
+                    }
+                },
+                {
+                    username: "ramsesmiron",
+                    displayName: "Ramses Miron",
+                    role: "member",
+                    image: {
+                        png: "./images/avatars/image-ramsesmiron.png",
+                        webp: "./images/avatars/image-ramsesmiron.webp"
+                    }
+                },
+                {
+                    username: "juliusomo",
+                    displayName: "Julius Omo",
+                    role: "member",
+                    image: {
+                        png: "./images/avatars/image-juliusomo.png",
+                        webp: "./images/avatars/image-juliusomo.webp"
+                    }
+                }
+            ],
             comments: [
                 {
                     id: 1,
@@ -136,7 +888,7 @@ const Storage = {
                     ]
                 }
             ]
-        };
+        });
     },
 
     /**
@@ -149,19 +901,11 @@ const Storage = {
             if (!response.ok) {
                 throw new Error('Failed to fetch data.json');
             }
-            const data = await response.json();
-
-            // Convert string dates to ISO strings for consistency
-            const processComments = (comments) => {
-                return comments.map(comment => ({
-                    ...comment,
-                    createdAt: this.convertToISODate(comment.createdAt),
-                    replies: comment.replies ? processComments(comment.replies) : []
-                }));
-            };
-
-            data.comments = processComments(data.comments);
-
+            // data.json is unversioned; migrating converts its relative dates
+            const { data, errors } = this.parseData(await response.json());
+            if (!data) {
+                throw new Error(`Invalid data.json: ${errors.join('; ')}`);
+            }
             return data;
         } catch (error) {
             console.warn('Could not load data.json, using fallback data:', error);
@@ -196,39 +940,44 @@ const Storage = {
     /**
      * Clear all stored data
      */
-    clearData() {
+    async clearData() {
         try {
-            localStorage.removeItem(this.STORAGE_KEY);
+            await this.adapter.clear();
+            this.loadError = null;
             Utils.showNotification('Data cleared successfully', 'success');
         } catch (error) {
-            console.error('Error clearing localStorage:', error);
+            console.error(`Error clearing ${this.adapter.name}:`, error);
             Utils.showNotification('Failed to clear data', 'error');
         }
     },
 
     /**
      * Export data as JSON
-     * @returns {string} JSON string of data
+     * @returns {Promise<string>} JSON string of data
      */
-    exportData() {
-        const data = this.getData();
+    async exportData() {
+        const data = await this.getData();
         return JSON.stringify(data, null, 2);
     },
 
     /**
      * Import data from JSON string
      * @param {string} jsonString - JSON string to import
-     * @returns {boolean} Success status
+     * @returns {Promise<boolean>} Success status
      */
-    importData(jsonString) {
+    async importData(jsonString) {
         try {
-            const data = JSON.parse(jsonString);
-            if (this.validateData(data)) {
-                this.saveData(data);
-                Utils.showNotification('Data imported successfully', 'success');
-                return true;
+            const { data, errors } = this.parseData(JSON.parse(jsonString));
+            if (data) {
+                const saved = await this.saveData(data);
+                if (saved) {
+                    Utils.showNotification('Data imported successfully', 'success');
+                }
+                return saved;
             } else {
-                Utils.showNotification('Invalid data format', 'error');
+                console.warn('Rejected import:', errors);
+                const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+                Utils.showNotification(`Invalid data format: ${errors[0]}${more}`, 'error');
                 return false;
             }
         } catch (error) {
@@ -238,6 +987,113 @@ const Storage = {
         }
     },
 
+    /**
+     * Get a user's saved sort/filter view. Views are a per-browser preference,
+     * so they always live in localStorage whatever adapter holds the thread.
+     * @param {string} username - Username
+     * @returns {Object|null} Saved view or null
+     */
+    getViewPreferences(username) {
+        try {
+            const stored = localStorage.getItem(`${this.adapter.key || this.STORAGE_KEY}-view-${username}`);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('Error reading view preferences:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Save a user's sort/filter view
+     * @param {string} username - Username
+     * @param {Object} view - View to save
+     */
+    saveViewPreferences(username, view) {
+        try {
+            localStorage.setItem(`${this.adapter.key || this.STORAGE_KEY}-view-${username}`, JSON.stringify(view));
+        } catch (error) {
+            console.warn('Error saving view preferences:', error);
+        }
+    },
+
+    /**
+     * All saved drafts, keyed by "username/draftKey"
+     * @returns {Object} Drafts ({ content, savedAt })
+     */
+    getDrafts() {
+        try {
+            const stored = localStorage.getItem(`${this.adapter.key || this.STORAGE_KEY}-drafts`);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('Error reading drafts:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Replace the saved drafts
+     * @param {Object} drafts - Drafts keyed by "username/draftKey"
+     */
+    setDrafts(drafts) {
+        try {
+            localStorage.setItem(`${this.adapter.key || this.STORAGE_KEY}-drafts`, JSON.stringify(drafts));
+        } catch (error) {
+            console.warn('Error saving drafts:', error);
+        }
+    },
+
+    /**
+     * Get a user's draft for one form
+     * @param {string} username - Username
+     * @param {string} draftKey - Form key ('comment', 'reply-<parentId>', 'edit-<commentId>')
+     * @returns {Object|null} { content, savedAt } or null
+     */
+    getDraft(username, draftKey) {
+        return this.getDrafts()[`${username}/${draftKey}`] || null;
+    },
+
+    /**
+     * Save a user's draft for one form
+     * @param {string} username - Username
+     * @param {string} draftKey - Form key
+     * @param {string} content - Unsent text
+     */
+    saveDraft(username, draftKey, content) {
+        const drafts = this.getDrafts();
+        drafts[`${username}/${draftKey}`] = { content, savedAt: new Date().toISOString() };
+        this.setDrafts(drafts);
+    },
+
+    /**
+     * Remove a user's draft for one form
+     * @param {string} username - Username
+     * @param {string} draftKey - Form key
+     */
+    removeDraft(username, draftKey) {
+        const drafts = this.getDrafts();
+        if (drafts[`${username}/${draftKey}`]) {
+            delete drafts[`${username}/${draftKey}`];
+            this.setDrafts(drafts);
+        }
+    },
+
+    /**
+     * Remove drafts older than a given age
+     * @param {number} maxAge - Maximum age in milliseconds
+     * @returns {number} Number of drafts removed
+     */
+    pruneDrafts(maxAge) {
+        const drafts = this.getDrafts();
+        const cutoff = Date.now() - maxAge;
+        const stale = Object.keys(drafts).filter(key => new Date(drafts[key].savedAt).getTime() < cutoff);
+
+        stale.forEach(key => delete drafts[key]);
+        if (stale.length > 0) {
+            this.setDrafts(drafts);
+        }
+        return stale.length;
+    },
+
     /**
      * Check if localStorage is available
      * @returns {boolean} True if localStorage is available
@@ -254,26 +1110,29 @@ const Storage = {
     },
 
     /**
-     * Get storage usage information
-     * @returns {Object} Storage usage info
+     * Get storage usage information for the active adapter
+     * @returns {Promise<Object>} Storage usage info
      */
-    getStorageInfo() {
-        if (!this.isStorageAvailable()) {
-            return { available: false };
+    async getStorageInfo() {
+        if (this.adapter.name === 'localStorage' && !this.isStorageAvailable()) {
+            return { adapter: this.adapter.name, available: false };
         }
 
         try {
-            const data = localStorage.getItem(this.STORAGE_KEY);
-            const size = data ? new Blob([data]).size : 0;
+            const size = await this.adapter.getSize();
+            const lastModified = this.adapter.name === 'localStorage'
+                ? localStorage.getItem(this.adapter.key + '_timestamp')
+                : null;
 
             return {
+                adapter: this.adapter.name,
                 available: true,
                 size: size,
                 sizeFormatted: this.formatBytes(size),
-                lastModified: localStorage.getItem(this.STORAGE_KEY + '_timestamp') || 'Unknown'
+                lastModified: lastModified || 'Unknown'
             };
         } catch (error) {
-            return { available: true, error: error.message };
+            return { adapter: this.adapter.name, available: true, error: error.message };
         }
     },
 
@@ -4,6 +4,12 @@
 
 // Utility functions
 const Utils = {
+    // "@name" preceded by start of text or a non-word character; groups: prefix, name
+    MENTION_PATTERN: /(^|[^\w@])@([\w.-]*\w)/,
+
+    // Usernames are @mention targets too, so they use the same characters
+    USERNAME_PATTERN: /^[\w.-]{0,38}\w$/,
+
     /**
      * Generate a unique ID for new comments/replies
      * @returns {number} Unique ID
@@ -42,6 +48,98 @@ const Utils = {
         return div.innerHTML;
     },
 
+    /**
+     * Check a username against USERNAME_PATTERN
+     * @param {*} username - Value to check
+     * @returns {boolean} True if it can be used as a username
+     */
+    isValidUsername(username) {
+        return typeof username === 'string' && this.USERNAME_PATTERN.test(username);
+    },
+
+    /**
+     * Check that an avatar URL is a plain http(s) or relative URL
+     * @param {*} url - Value to check
+     * @returns {boolean} True if it is safe to use as an image src
+     */
+    isSafeImageUrl(url) {
+        if (typeof url !== 'string' || url.length === 0 || /["'<>\\\s`\x00-\x1f]/.test(url)) {
+            return false;
+        }
+        const scheme = url.match(/^([a-z][a-z\d+.-]*):/i);
+        return !scheme || ['http', 'https'].includes(scheme[1].toLowerCase());
+    },
+
+    /**
+     * Find the known usernames mentioned as @name in a text
+     * @param {string} text - Comment text
+     * @param {Array} usernames - Usernames that can be mentioned
+     * @returns {Array} Unique mentioned usernames, in order of appearance
+     */
+    extractMentions(text, usernames) {
+        const known = new Set(usernames);
+        const pattern = new RegExp(this.MENTION_PATTERN.source, 'g');
+        // Code spans and blocks render literally, so names inside them aren't mentions
+        const prose = text.replace(/```[\s\S]*?```|`[^`\n]+`/g, ' ');
+        const mentions = [];
+        let match;
+
+        while ((match = pattern.exec(prose)) !== null) {
+            if (known.has(match[2]) && !mentions.includes(match[2])) {
+                mentions.push(match[2]);
+            }
+        }
+
+        return mentions;
+    },
+
+    /**
+     * Word-level diff between two texts
+     * @param {string} before - Original text
+     * @param {string} after - Changed text
+     * @returns {Array} Parts as { type: 'same' | 'added' | 'removed', text }
+     */
+    diffWords(before, after) {
+        const a = before.split(/(\s+)/).filter(Boolean);
+        const b = after.split(/(\s+)/).filter(Boolean);
+
+        // Longest common subsequence table, filled from the end
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i]);
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+
+        return parts;
+    },
+
     /**
      * Debounce function to limit function calls
      * @param {Function} func - Function to debounce
@@ -64,8 +162,9 @@ const Utils = {
      * Show notification message
      * @param {string} message - Message to show
      * @param {string} type - Type of notification (success, error, info)
+     * @param {Object} action - Optional button, e.g. { label: 'Undo', onClick }
      */
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', action = null) {
         // Remove existing notifications
         const existingNotification = document.querySelector('.notification');
         if (existingNotification) {
@@ -74,42 +173,49 @@ const Utils = {
 
         const notification = document.createElement('div');
         notification.className = `notification notification--${type}`;
-        notification.textContent = message;
         notification.setAttribute('role', 'alert');
         notification.setAttribute('aria-live', 'polite');
 
+        const text = document.createElement('span');
+        text.className = 'notification__message';
+        text.textContent = message;
+        notification.appendChild(text);
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification__action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                notification.remove();
+                action.onClick();
+            });
+            notification.appendChild(button);
+        }
+
         document.body.appendChild(notification);
 
-        // Auto remove after 3 seconds
+        // Auto remove after 3 seconds (longer when there is something to click)
         setTimeout(() => {
             if (notification.parentNode) {
                 notification.classList.add('fade-out');
                 setTimeout(() => notification.remove(), 300);
             }
-        }, 3000);
+        }, action ? 6000 : 3000);
     },
 
     /**
-     * Validate comment content
+     * Validate comment content against the content rules (see ContentFilter)
      * @param {string} content - Comment content to validate
-     * @returns {Object} Validation result
+     * @param {Object} context - Rules and author history for ContentFilter.check
+     * @returns {Object} Validation result: { isValid, message, errors, content }
      */
-    validateComment(content) {
-        const trimmed = content.trim();
-
-        if (!trimmed) {
-            return { isValid: false, message: 'Comment cannot be empty' };
-        }
-
-        if (trimmed.length < 3) {
-            return { isValid: false, message: 'Comment must be at least 3 characters long' };
-        }
-
-        if (trimmed.length > 1000) {
-            return { isValid: false, message: 'Comment cannot exceed 1000 characters' };
-        }
-
-        return { isValid: true, message: '' };
+    validateComment(content, context = {}) {
+        const result = ContentFilter.check(content, context);
+        return {
+            ...result,
+            message: result.errors.length > 0 ? result.errors[0].message : ''
+        };
     },
 
     /**
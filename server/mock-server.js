@@ -0,0 +1,311 @@
+/**
+ * Mock comments API for offline testing of the REST storage adapter
+ *
+ * Serves the data.json shape from memory and the static site from the
+ * project root, so the whole flow runs on one origin:
+ *
+ *   node server/mock-server.js [port]
+ *   open http://localhost:3001/?api=http://localhost:3001/api
+ *
+ * Endpoints (all JSON):
+ *   GET    /api/thread                 - { currentUser, comments }
+ *   PUT    /api/thread                 - Replace the whole thread
+ *   DELETE /api/thread                 - Reset to data.json
+ *   POST   /api/comments               - Add a top-level comment (409 if its id is taken)
+ *   POST   /api/comments/:id/replies   - Add a reply under comment :id (409 if its id is taken)
+ *   PATCH  /api/comments/:id           - { content } and/or { pinned, hidden, locked, reports }
+ *   DELETE /api/comments/:id           - Remove a comment and its replies
+ *   POST   /api/comments/:id/vote      - { username, value: -1 | 0 | 1 }
+ *   POST   /api/comments/:id/reports   - { username, reason, details }
+ *
+ * Re-adding a deleted comment (the client undoing a delete) puts it back
+ * where it was. Only the app's own files are served, not .git/ or server/.
+ *
+ * Set MOCK_FAIL_RATE (0..1) to make write requests fail at random, which is
+ * handy for checking the client's rollback.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2] || process.env.PORT || 3001);
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE || 0);
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.jpg': 'image/jpeg'
+};
+
+// Everything the site loads; anything else under ROOT is off limits
+const STATIC_FILES = ['index.html', 'test.html', 'data.json'];
+const STATIC_DIRS = ['images', 'js', 'styles'];
+
+let thread = loadSeed();
+
+// Where deleted comments sat: id -> { parentId, index }
+const deletedPositions = new Map();
+
+/**
+ * Read data.json and turn its relative "createdAt" strings into ISO dates
+ * @returns {Object} Thread data
+ */
+function loadSeed() {
+    const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'data.json'), 'utf8'));
+    const units = { minute: 60e3, hour: 36e5, day: 864e5, week: 6048e5, month: 2592e6 };
+
+    const convert = (comments, parentId) => comments.map(comment => {
+        const unit = Object.keys(units).find(name => String(comment.createdAt).includes(name));
+        const createdAt = unit
+            ? new Date(Date.now() - parseInt(comment.createdAt, 10) * units[unit]).toISOString()
+            : comment.createdAt;
+
+        const result = { ...comment, createdAt, votes: comment.votes || {} };
+        if (parentId !== null) {
+            result.parentId = comment.parentId !== undefined ? comment.parentId : parentId;
+        }
+        result.replies = convert(comment.replies || [], comment.id);
+        return result;
+    });
+
+    data.comments = convert(data.comments, null);
+    return data;
+}
+
+/**
+ * Find a comment and the list that holds it
+ * @param {number} id - Comment ID
+ * @param {Array} comments - List to search
+ * @returns {Object|null} { comment, siblings, index } or null
+ */
+function locate(id, comments = thread.comments) {
+    for (let index = 0; index < comments.length; index++) {
+        if (comments[index].id === id) {
+            return { comment: comments[index], siblings: comments, index };
+        }
+        const found = locate(id, comments[index].replies || []);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Add a comment to a list, back at its old place if it was deleted from there
+ * @param {Array} siblings - List to add to
+ * @param {Object} comment - Comment to add
+ * @param {number|null} parentId - Comment the list belongs to, null for the top level
+ */
+function insert(siblings, comment, parentId) {
+    const position = deletedPositions.get(comment.id);
+    deletedPositions.delete(comment.id);
+    if (position && position.parentId === parentId) {
+        siblings.splice(Math.min(position.index, siblings.length), 0, comment);
+    } else {
+        siblings.push(comment);
+    }
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, pathname) {
+    if (req.method === 'OPTIONS') {
+        return send(res, 204);
+    }
+
+    if (req.method !== 'GET' && Math.random() < FAIL_RATE) {
+        return send(res, 503, { error: 'Simulated failure' });
+    }
+
+    if (pathname === '/api/thread') {
+        if (req.method === 'GET') return send(res, 200, thread);
+        if (req.method === 'PUT') {
+            const body = await readBody(req);
+            if (!body.currentUser || !Array.isArray(body.comments)) {
+                return send(res, 400, { error: 'Expected { currentUser, comments }' });
+            }
+            thread = body;
+            return send(res, 200, thread);
+        }
+        if (req.method === 'DELETE') {
+            thread = loadSeed();
+            return send(res, 204);
+        }
+    }
+
+    if (pathname === '/api/comments' && req.method === 'POST') {
+        const comment = await readBody(req);
+        if (!comment.id || !comment.content) {
+            return send(res, 400, { error: 'Comment needs an id and content' });
+        }
+        if (locate(comment.id)) {
+            return send(res, 409, { error: `Comment ${comment.id} already exists` });
+        }
+        insert(thread.comments, { replies: [], votes: {}, ...comment }, null);
+        return send(res, 201, comment);
+    }
+
+    const match = pathname.match(/^\/api\/comments\/(\d+)(\/replies|\/vote|\/reports)?$/);
+    if (!match) {
+        return send(res, 404, { error: 'Not found' });
+    }
+
+    const found = locate(Number(match[1]));
+    if (!found) {
+        return send(res, 404, { error: 'Comment not found' });
+    }
+    const { comment } = found;
+
+    if (match[2] === '/replies' && req.method === 'POST') {
+        const reply = await readBody(req);
+        if (!reply.id || !reply.content) {
+            return send(res, 400, { error: 'Reply needs an id and content' });
+        }
+        if (locate(reply.id)) {
+            return send(res, 409, { error: `Comment ${reply.id} already exists` });
+        }
+        comment.replies = comment.replies || [];
+        insert(comment.replies, { replies: [], votes: {}, ...reply, parentId: comment.id }, comment.id);
+        return send(res, 201, reply);
+    }
+
+    if (match[2] === '/vote' && req.method === 'POST') {
+        const { username, value } = await readBody(req);
+        if (!username || ![-1, 0, 1].includes(value)) {
+            return send(res, 400, { error: 'Vote needs a username and a value of -1, 0 or 1' });
+        }
+        comment.votes = comment.votes || {};
+        const previous = comment.votes[username] || 0;
+        if (value) {
+            comment.votes[username] = value;
+        } else {
+            delete comment.votes[username];
+        }
+        comment.score += value - previous;
+        return send(res, 200, { id: comment.id, score: comment.score, votes: comment.votes });
+    }
+
+    if (match[2] === '/reports' && req.method === 'POST') {
+        const report = await readBody(req);
+        if (!report.username || !report.reason) {
+            return send(res, 400, { error: 'Report needs a username and a reason' });
+        }
+        comment.reports = (comment.reports || []).filter(entry => entry.username !== report.username);
+        comment.reports.push({ createdAt: new Date().toISOString(), ...report });
+        return send(res, 201, comment.reports);
+    }
+
+    if (!match[2] && req.method === 'PATCH') {
+        const body = await readBody(req);
+        const flags = ['pinned', 'hidden', 'locked'].filter(flag => flag in body);
+        if (!body.content && flags.length === 0 && !Array.isArray(body.reports)) {
+            return send(res, 400, { error: 'Content, a moderation flag or reports are required' });
+        }
+        if (Array.isArray(body.reports)) {
+            comment.reports = body.reports;
+        }
+        if (body.content) {
+            comment.revisions = comment.revisions || [];
+            comment.revisions.push({ content: comment.content, editedAt: new Date().toISOString() });
+            comment.content = body.content;
+        }
+        flags.forEach(flag => {
+            comment[flag] = Boolean(body[flag]);
+        });
+        return send(res, 200, comment);
+    }
+
+    if (!match[2] && req.method === 'DELETE') {
+        found.siblings.splice(found.index, 1);
+        const parentId = found.siblings === thread.comments ? null : comment.parentId;
+        deletedPositions.set(comment.id, { parentId, index: found.index });
+        return send(res, 204);
+    }
+
+    return send(res, 405, { error: 'Method not allowed' });
+}
+
+/**
+ * Whether a path relative to ROOT is one of the site's files
+ * @param {string} relativePath - Path from path.relative(ROOT, ...)
+ * @returns {boolean} True if it may be served
+ */
+function isStaticPath(relativePath) {
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        return false;
+    }
+    const [first, ...rest] = relativePath.split(path.sep);
+    return rest.length === 0 ? STATIC_FILES.includes(first) : STATIC_DIRS.includes(first);
+}
+
+function serveStatic(res, pathname) {
+    let filePath;
+    try {
+        filePath = path.resolve(ROOT, '.' + (pathname === '/' ? '/index.html' : decodeURIComponent(pathname)));
+    } catch (error) {
+        res.writeHead(400);
+        return res.end();
+    }
+    if (!isStaticPath(path.relative(ROOT, filePath))) {
+        res.writeHead(403);
+        return res.end();
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+    if (pathname.startsWith('/api/')) {
+        handleApi(req, res, pathname).catch(error => {
+            send(res, 400, { error: error.message });
+        });
+    } else {
+        serveStatic(res, pathname);
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock comments API on http://localhost:${PORT}/api (site at http://localhost:${PORT}/)`);
+    });
+}
+
+module.exports = server;
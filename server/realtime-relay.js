@@ -0,0 +1,259 @@
+/**
+ * Local WebSocket relay for live collaboration (Node built-ins only)
+ *
+ * Forwards every message a client sends to all other clients, and keeps the
+ * list of who is online from each client's "hello":
+ *
+ *   node server/realtime-relay.js [port]
+ *   open two tabs on http://localhost:8000/?ws=ws://localhost:3002
+ *
+ * Message format: see js/realtime.js. The relay reads `hello` and sends
+ * `presence`. Every other message is passed on with its `from` replaced by
+ * the identity from the sender's last hello, so a client can't speak for
+ * anyone else; messages sent before a hello are dropped.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 3002);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Close status for a message over MAX_MESSAGE_BYTES (RFC 6455, 7.4.1)
+const CLOSE_TOO_BIG = 1009;
+
+// socket -> { clientId, user, from } for connected clients
+const clients = new Map();
+
+/**
+ * Build an unmasked server frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Frame bytes
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Error for a message over MAX_MESSAGE_BYTES; the connection closes with CLOSE_TOO_BIG
+ * @returns {Error} Error carrying the close code
+ */
+function messageTooLarge() {
+    const error = new Error('Message too large');
+    error.closeCode = CLOSE_TOO_BIG;
+    return error;
+}
+
+/**
+ * Turn a stream of bytes into complete frames
+ * @param {Function} onFrame - Called with { fin, opcode, payload }
+ * @returns {Function} Feed it each chunk from the socket
+ */
+function createFrameReader(onFrame) {
+    let buffer = Buffer.alloc(0);
+
+    return (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        while (buffer.length >= 2) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            if (length > MAX_MESSAGE_BYTES) {
+                throw messageTooLarge();
+            }
+
+            const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+            if (masked) offset += 4;
+            if (buffer.length < offset + length) return;
+
+            const payload = Buffer.from(buffer.subarray(offset, offset + length));
+            if (mask) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= mask[i % 4];
+                }
+            }
+
+            buffer = buffer.subarray(offset + length);
+            onFrame({ fin, opcode, payload });
+        }
+    };
+}
+
+/**
+ * Send a close frame with a status code and hang up
+ * @param {Object} socket - Client socket
+ * @param {number} code - Close status code
+ */
+function closeWith(socket, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    socket.end(encodeFrame(OPCODES.close, payload));
+}
+
+function sendText(socket, text) {
+    if (!socket.destroyed) {
+        socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+    }
+}
+
+function broadcast(text, except = null) {
+    clients.forEach((client, socket) => {
+        if (socket !== except) {
+            sendText(socket, text);
+        }
+    });
+}
+
+function broadcastPresence() {
+    const users = [...clients.values()]
+        .filter(client => client.user)
+        .map(client => ({ clientId: client.clientId, ...client.user }));
+    broadcast(JSON.stringify({ type: 'presence', users }));
+}
+
+/**
+ * Handle one complete text message from a client
+ * @param {Object} socket - Client socket
+ * @param {string} text - Message JSON
+ */
+function handleMessage(socket, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+
+    const client = clients.get(socket);
+    if (message.type === 'hello') {
+        const user = message.user;
+        if (!user || typeof user.username !== 'string' || !user.username) return;
+
+        client.clientId = message.from && typeof message.from.clientId === 'string' ? message.from.clientId : null;
+        client.user = user;
+        client.from = {
+            clientId: client.clientId,
+            username: user.username,
+            displayName: typeof user.displayName === 'string' && user.displayName ? user.displayName : user.username
+        };
+        broadcastPresence();
+        return;
+    }
+
+    if (!client.from) return;
+    broadcast(JSON.stringify({ ...message, from: client.from }), socket);
+}
+
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    clients.set(socket, { clientId: null, user: null, from: null });
+
+    // A message may arrive in many frames, each under the limit; count them all
+    let fragments = [];
+    let fragmentBytes = 0;
+    const readFrames = createFrameReader(({ fin, opcode, payload }) => {
+        if (opcode === OPCODES.close) {
+            socket.end(encodeFrame(OPCODES.close));
+            return;
+        }
+        if (opcode === OPCODES.ping) {
+            socket.write(encodeFrame(OPCODES.pong, payload));
+            return;
+        }
+        if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+            fragmentBytes += payload.length;
+            if (fragmentBytes > MAX_MESSAGE_BYTES) {
+                throw messageTooLarge();
+            }
+            fragments.push(payload);
+            if (fin) {
+                handleMessage(socket, Buffer.concat(fragments).toString('utf8'));
+                fragments = [];
+                fragmentBytes = 0;
+            }
+        }
+    });
+
+    socket.on('data', (chunk) => {
+        if (socket.writableEnded) return;
+        try {
+            readFrames(chunk);
+        } catch (error) {
+            if (error.closeCode) {
+                closeWith(socket, error.closeCode);
+            } else {
+                socket.destroy();
+            }
+        }
+    });
+
+    const leave = () => {
+        if (clients.delete(socket)) {
+            broadcastPresence();
+        }
+    };
+    socket.on('close', leave);
+    socket.on('error', leave);
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`Comments realtime relay: connect with a WebSocket (${clients.size} online)\n`);
+});
+
+server.on('upgrade', handleUpgrade);
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Realtime relay on ws://localhost:${PORT}`);
+    });
+}
+
+module.exports = server;